@@ -0,0 +1,86 @@
+// Multilingual Search Aliases
+// Amharic (Ge'ez script) and Afaan Oromo names for subjects and common
+// catalog terms, keyed by the English word used in the catalog.
+// Amharic entries are also matched in Latin letters through transliteration
+// ("ሂሳብ" is found by typing "hisab"); list colloquial Latin spellings that
+// the transliteration misses under `latin`.
+export const languageAliases = {
+  // Subjects
+  mathematics: {
+    am: ["ሂሳብ"],
+    om: ["herregaa", "herrega"],
+    latin: ["hesab"],
+  },
+  physics: {
+    am: ["ፊዚክስ"],
+    om: ["fiiziksii", "fiiziksi"],
+    latin: ["fizics", "fizix"],
+  },
+  chemistry: {
+    am: ["ኬሚስትሪ"],
+    om: ["keemistirii", "keemistiri"],
+    latin: ["kemistry", "kemistiri"],
+  },
+  biology: {
+    am: ["ባዮሎጂ"],
+    om: ["baayoloojii", "bayoloji"],
+    latin: ["biyoloji"],
+  },
+  english: {
+    am: ["እንግሊዝኛ"],
+    om: ["ingiliffaa", "afaan ingiliffaa"],
+    latin: ["inglizigna", "englizegna"],
+  },
+  amharic: {
+    am: ["አማርኛ"],
+    om: ["amaariffaa", "afaan amaaraa"],
+    latin: ["amarigna", "amharigna"],
+  },
+  history: {
+    am: ["ታሪክ"],
+    om: ["seenaa"],
+    latin: ["tarik"],
+  },
+  geography: {
+    am: ["ጂኦግራፊ"],
+    om: ["jiooggiraafii", "jiografii"],
+    latin: ["jiyografi"],
+  },
+  civics: {
+    am: ["ሥነ ዜጋ", "ሥነ ምግባር"],
+    om: ["lammummaa", "barnoota lammummaa"],
+    latin: ["sine zega", "sinezega", "sene zega"],
+  },
+  economics: {
+    am: ["ኢኮኖሚክስ", "ምጣኔ ሀብት"],
+    om: ["dinagdee"],
+    latin: ["ekonomiks"],
+  },
+  ict: {
+    am: ["አይሲቲ", "ኢንፎርሜሽን ቴክኖሎጂ"],
+    om: ["teeknooloojii odeeffannoo"],
+    latin: [],
+  },
+  agriculture: {
+    am: ["ግብርና"],
+    om: ["qonna", "qonnaa"],
+    latin: ["gibrina", "gebrina"],
+  },
+
+  // Catalog terms
+  textbook: {
+    am: ["መማሪያ መጽሐፍ", "መጽሐፍ"],
+    om: ["kitaaba barataa", "kitaaba"],
+    latin: ["metsihaf", "mets'haf", "mashaf"],
+  },
+  examination: {
+    am: ["ፈተና", "ብሔራዊ ፈተና"],
+    om: ["qormaata", "qormaata biyyaalessaa"],
+    latin: [],
+  },
+  grade: {
+    am: ["ክፍል"],
+    om: ["kutaa"],
+    latin: ["kifil", "kfl"],
+  },
+};
@@ -26,6 +26,8 @@ const textbookResources = Object.values(textbooksData)
     uploaded: textbook.updated || textbook.year || "2023-01-01",
     quality: textbook.quality || "High Quality",
     tags: textbook.tags || [],
+    topics: textbook.topics || [],
+    language: textbook.language || "English",
     image: `https://images.unsplash.com/photo-1481627834876-b7833e8f5570?w=400&h=300&fit=crop&q=80`,
     publisher: textbook.publisher || "MOE",
   }));
@@ -48,6 +50,8 @@ const pastPaperResources = pastPapersData.flatMap((paper) =>
     uploaded: paper.uploaded || paper.year,
     quality: "High Quality",
     tags: subject.tags || [paper.year, "EUEE", subject.name],
+    topics: subject.topics || [],
+    language: subject.language || "English",
     image: `https://images.unsplash.com/photo-1456513080510-7bf3a84b82f8?w=400&h=300&fit=crop&q=80`,
     questions: subject.questions,
     duration: subject.duration,
@@ -0,0 +1,28 @@
+// Search Synonyms and Abbreviations
+// Other words, short forms and exam names students type for catalog terms,
+// keyed by the word used in the catalog. Multi-word entries such as
+// "national exam" are matched as a whole. Keep keys to single catalog words.
+export const searchSynonyms = {
+  // Subjects
+  mathematics: ["math", "maths"],
+  physics: ["phys", "phy"],
+  chemistry: ["chem"],
+  biology: ["bio"],
+  civics: ["citizenship", "civic education", "ethical education"],
+  geography: ["geo"],
+  economics: ["econ", "eco"],
+  english: ["eng"],
+  ict: ["computer", "information technology"],
+  agriculture: ["agri"],
+  aptitude: ["sat", "scholastic aptitude"],
+
+  // Exams and resource types
+  euee: [
+    "national exam",
+    "entrance exam",
+    "university entrance exam",
+    "eslce",
+    "matric",
+  ],
+  textbook: ["book", "student book"],
+};
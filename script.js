@@ -1,10 +1,13 @@
 // Import utility modules
 import { downloadManager } from "./utils/download.js";
-import { searchEngine } from "./utils/search.js";
+import { searchClient } from "./utils/search-client.js";
+import { recommendationEngine } from "./utils/recommendations.js";
+import { queryParser } from "./utils/query-parser.js";
 import { filterManager } from "./utils/filter.js";
 import { storage } from "./utils/storage.js";
 import { analytics } from "./utils/analytics.js";
 import { validator } from "./utils/validation.js";
+import { availabilityManager } from "./utils/availability.js";
 
 AOS.init({
   duration: 1000, // Animations last 1 second
@@ -20,6 +23,10 @@ class ExamPortal {
     this.currentYear = "all";
     this.currentCategory = "all";
     this.searchTerm = "";
+    this.pageSearchId = 0;
+    this.autocomplete = { items: [], activeIndex: -1 };
+    this.searchAsTyped = null;
+    this.savedSearchAlerts = new Map(); // saved search id -> new resources
 
     // Use storage utility instead of direct localStorage
     this.downloadHistory = storage.getDownloadHistory();
@@ -28,14 +35,19 @@ class ExamPortal {
     this.resourcesData = [];
     this.pastPapersData = [];
     this.textbooksData = {};
+    this.languageAliases = {};
+    this.searchSynonyms = {};
 
     // Initialize utility instances
     this.downloadManager = downloadManager;
-    this.searchEngine = searchEngine;
+    this.searchClient = searchClient;
+    this.recommendationEngine = recommendationEngine;
+    this.queryParser = queryParser;
     this.filterManager = filterManager;
     this.storage = storage;
     this.analytics = analytics;
     this.validator = validator;
+    this.availability = availabilityManager;
 
     this.init();
   }
@@ -56,26 +68,58 @@ class ExamPortal {
     // Populate year filters (show years present in data)
     this.populateYearFilters();
 
-    // Initialize search engine with data
-    this.searchEngine.indexResources(this.resourcesData);
+    // Initialize search engine with data (in a Web Worker when available)
+    this.searchClient.setAliases(this.languageAliases);
+    this.searchClient.setSynonyms(this.searchSynonyms);
+    this.searchClient.setPreferredGrade(
+      this.storage.getUserPreferences().grade
+    );
+    this.updatePersonalization();
+    this.searchClient
+      .loadIndex(this.resourcesData)
+      .catch((error) => console.error("Error indexing resources:", error));
+
+    // Find out which PDFs are present (marks the rest as coming soon)
+    this.availabilityReady = this.loadAvailability();
 
     // Initialize filters (this will handle both old and new UI)
     this.initFilters();
 
-    // Initialize filters from URL
+    // Initialize filters and search from URL
     this.filterManager.initFromURL();
     this.currentCategory = this.filterManager.getActiveFilters().category;
     this.currentYear = this.filterManager.getActiveFilters().year;
-    this.currentGrade = this.filterManager.getActiveFilters().grade;
+    this.currentGrade = this.getTextbookGrade(
+      this.filterManager.getActiveFilters().grade
+    );
+    this.searchTerm = this.filterManager.searchQuery;
+    document.getElementById("searchInput").value =
+      this.filterManager.searchQuery;
 
     // Load initial content
-    this.loadAllResources();
+    this.loadAllResources().then(() => this.showSearchResults(this.searchTerm));
     this.loadPastPapers();
     this.loadTextbooks();
 
     // Initialize search
     this.initSearch();
 
+    // Back/Forward restore filters, search and scroll position
+    window.history.scrollRestoration = "manual";
+    window.addEventListener("popstate", (e) =>
+      this.restoreFromHistory(e.state)
+    );
+
+    // Resource detail links (#/resource/<id>)
+    window.addEventListener("hashchange", () => this.handleRoute());
+    this.handleRoute({ initial: true });
+
+    // Initialize saved searches and their new-match alerts
+    this.initSavedSearches();
+
+    // Initialize filter presets
+    this.initFilterPresets();
+
     // Initialize filters UI
     this.initFilters();
 
@@ -102,6 +146,14 @@ class ExamPortal {
       const textbooksModule = await import("./data/textbooks.js");
       this.textbooksData = textbooksModule.textbooksData || {};
 
+      // Load Amharic / Afaan Oromo search aliases
+      const aliasesModule = await import("./data/language-aliases.js");
+      this.languageAliases = aliasesModule.languageAliases || {};
+
+      // Load search synonyms and abbreviations
+      const synonymsModule = await import("./data/synonyms.js");
+      this.searchSynonyms = synonymsModule.searchSynonyms || {};
+
       console.log("Data loaded successfully");
     } catch (error) {
       console.error("Error loading data:", error);
@@ -274,28 +326,286 @@ class ExamPortal {
     // Debounced search function
     let searchTimeout;
     searchInput.addEventListener("input", (e) => {
+      this.updateAutocomplete(e.target.value);
+
       clearTimeout(searchTimeout);
-      searchTimeout = setTimeout(() => {
+      searchTimeout = setTimeout(async () => {
         this.searchTerm = e.target.value.toLowerCase().trim();
-        this.loadAllResources();
+        this.filterManager.setSearchQuery(this.searchTerm, { typing: true });
+        await this.loadAllResources();
         this.showSearchResults(this.searchTerm);
       }, 300);
     });
 
     searchBtn.addEventListener("click", () => {
-      this.searchTerm = searchInput.value.toLowerCase().trim();
-      this.loadAllResources();
-      this.showSearchResults(this.searchTerm);
+      clearTimeout(searchTimeout);
+      this.submitSearch(searchInput.value);
     });
 
-    // Clear search when clicking ESC
-    searchInput.addEventListener("keyup", (e) => {
-      if (e.key === "Escape") {
-        searchInput.value = "";
-        this.searchTerm = "";
-        this.loadAllResources();
+    // Autocomplete keyboard navigation (ARIA combobox pattern)
+    searchInput.addEventListener("keydown", (e) => {
+      const isOpen = this.autocomplete.items.length > 0;
+
+      switch (e.key) {
+        case "ArrowDown":
+        case "ArrowUp":
+          e.preventDefault();
+          if (isOpen) {
+            this.moveAutocompleteSelection(e.key === "ArrowDown" ? 1 : -1);
+          } else {
+            this.updateAutocomplete(searchInput.value);
+          }
+          break;
+
+        case "Enter":
+          e.preventDefault();
+          clearTimeout(searchTimeout);
+          if (isOpen && this.autocomplete.activeIndex > -1) {
+            this.selectAutocompleteItem(this.autocomplete.activeIndex);
+          } else {
+            this.submitSearch(searchInput.value);
+          }
+          break;
+
+        case "Escape":
+          // Close the list first, clear the search on a second ESC
+          if (isOpen) {
+            this.closeAutocomplete();
+          } else {
+            searchInput.value = "";
+            this.searchTerm = "";
+            this.loadAllResources();
+          }
+          break;
+      }
+    });
+
+    searchInput.addEventListener("focus", () => {
+      this.updateAutocomplete(searchInput.value);
+    });
+
+    searchInput.addEventListener("blur", () => {
+      this.closeAutocomplete();
+    });
+  }
+
+  // Run a search the user committed to (Enter, search button, suggestion)
+  async submitSearch(term) {
+    const searchInput = document.getElementById("searchInput");
+    searchInput.value = term;
+
+    this.closeAutocomplete();
+    this.searchTerm = term.toLowerCase().trim();
+    this.storage.addSearch(this.searchTerm);
+    await this.loadAllResources();
+    this.showSearchResults(this.searchTerm);
+  }
+
+  // Build autocomplete entries: matching resources, subjects and tags the
+  // search engine suggests (synonyms included), then recent and popular
+  // searches containing the typed text
+  async getAutocompleteItems(query) {
+    const term = query.toLowerCase().trim();
+    const matchesTerm = (text) => !term || text.toLowerCase().includes(term);
+    const seen = new Set([term]);
+    const items = [];
+
+    const addSearches = (group, searches) => {
+      searches
+        .filter((search) => !seen.has(search.toLowerCase()))
+        .slice(0, 3)
+        .forEach((search) => {
+          seen.add(search.toLowerCase());
+          items.push({ type: "search", group, label: search, value: search });
+        });
+    };
+
+    if (term) {
+      const [resources, suggestions] = await Promise.all([
+        this.searchClient.search(term, { limit: 5 }, "autocomplete"),
+        this.searchClient.getSuggestions(term, 10),
+      ]);
+
+      resources.forEach((resource) => {
+        seen.add(resource.title.toLowerCase());
+        items.push({
+          type: "resource",
+          group: "Resources",
+          label: resource.title,
+          detail: resource.category,
+          resource,
+        });
+      });
+
+      // Not filtered by the typed text: "chem" suggests "Chemistry"
+      addSearches("Suggestions", suggestions);
+    }
+
+    addSearches(
+      "Recent searches",
+      this.storage.getRecentSearches(10).filter(matchesTerm)
+    );
+    addSearches(
+      "Popular searches",
+      this.storage.getPopularSearches(10).filter(matchesTerm)
+    );
+
+    return items;
+  }
+
+  // Show autocomplete entries for the text in the search box
+  async updateAutocomplete(query) {
+    try {
+      this.autocomplete.items = await this.getAutocompleteItems(query);
+    } catch (error) {
+      // Superseded by a newer keystroke
+      if (error.name === "AbortError") return;
+
+      console.error("Error loading suggestions:", error);
+      this.autocomplete.items = [];
+    }
+
+    this.autocomplete.activeIndex = -1;
+    this.renderAutocomplete();
+  }
+
+  // Render the autocomplete listbox under the search box
+  renderAutocomplete() {
+    const searchInput = document.getElementById("searchInput");
+    const { items, activeIndex } = this.autocomplete;
+    let listbox = document.getElementById("searchSuggestions");
+
+    if (!listbox) {
+      const searchBox = document.querySelector(".search-box");
+      if (!searchBox) return;
+
+      listbox = document.createElement("ul");
+      listbox.id = "searchSuggestions";
+      listbox.className = "search-suggestions";
+      listbox.setAttribute("role", "listbox");
+      listbox.setAttribute("aria-label", "Search suggestions");
+      searchBox.appendChild(listbox);
+
+      // Keep focus in the input while clicking an option
+      listbox.addEventListener("mousedown", (e) => e.preventDefault());
+      listbox.addEventListener("click", (e) => {
+        const option = e.target.closest("[role='option']");
+        if (option) {
+          this.selectAutocompleteItem(parseInt(option.dataset.index, 10));
+        }
+      });
+    }
+
+    listbox.innerHTML = "";
+    let currentGroup = null;
+
+    items.forEach((item, index) => {
+      if (item.group !== currentGroup) {
+        currentGroup = item.group;
+        const heading = document.createElement("li");
+        heading.className = "search-suggestions-group";
+        heading.setAttribute("role", "presentation");
+        heading.textContent = item.group;
+        listbox.appendChild(heading);
       }
+
+      const icon =
+        item.type === "resource"
+          ? this.getCategoryIcon(item.resource.category)
+          : item.group === "Suggestions"
+          ? '<i class="fas fa-search"></i>'
+          : item.group === "Recent searches"
+          ? '<i class="fas fa-history"></i>'
+          : '<i class="fas fa-fire"></i>';
+
+      const option = document.createElement("li");
+      option.id = `searchSuggestion-${index}`;
+      option.className = "search-suggestion";
+      option.dataset.index = index;
+      option.setAttribute("role", "option");
+      option.setAttribute("aria-selected", String(index === activeIndex));
+      option.innerHTML = `${icon}<span class="search-suggestion-label">${this.escapeHTML(
+        item.label
+      )}</span>${
+        item.detail
+          ? `<span class="search-suggestion-detail">${this.escapeHTML(
+              item.detail
+            )}</span>`
+          : ""
+      }`;
+      listbox.appendChild(option);
     });
+
+    const isOpen = items.length > 0;
+    listbox.hidden = !isOpen;
+    searchInput.setAttribute("aria-expanded", String(isOpen));
+
+    if (activeIndex > -1) {
+      searchInput.setAttribute(
+        "aria-activedescendant",
+        `searchSuggestion-${activeIndex}`
+      );
+      document
+        .getElementById(`searchSuggestion-${activeIndex}`)
+        ?.scrollIntoView({ block: "nearest" });
+    } else {
+      searchInput.removeAttribute("aria-activedescendant");
+    }
+  }
+
+  // Move the highlighted autocomplete entry, wrapping around the ends
+  moveAutocompleteSelection(step) {
+    const count = this.autocomplete.items.length;
+    if (count === 0) return;
+
+    const index = this.autocomplete.activeIndex + step;
+    this.autocomplete.activeIndex =
+      index < 0 ? count - 1 : index >= count ? 0 : index;
+    this.renderAutocomplete();
+  }
+
+  // Act on a chosen autocomplete entry
+  selectAutocompleteItem(index) {
+    const item = this.autocomplete.items[index];
+    if (!item) return;
+
+    if (item.type === "resource") {
+      this.closeAutocomplete();
+      this.jumpToResource(item.resource);
+    } else {
+      this.submitSearch(item.value);
+    }
+  }
+
+  // Hide the autocomplete list
+  closeAutocomplete() {
+    this.searchClient.cancel("autocomplete");
+    this.searchClient.cancel("suggestions");
+    this.autocomplete.items = [];
+    this.autocomplete.activeIndex = -1;
+    this.renderAutocomplete();
+  }
+
+  // Show a single resource in the grid, scroll to it and flash its card
+  async jumpToResource(resource) {
+    const searchInput = document.getElementById("searchInput");
+    searchInput.value = resource.title;
+    this.searchTerm = resource.title.toLowerCase();
+    await this.loadAllResources();
+    this.showSearchResults(this.searchTerm);
+
+    this.analytics.trackInteraction("autocomplete", "select", {
+      resourceId: resource.id,
+    });
+
+    const card = document.querySelector(
+      `.resource-card[data-id="${resource.id}"]`
+    );
+    if (!card) return;
+
+    card.scrollIntoView({ behavior: "smooth", block: "center" });
+    card.classList.add("resource-card-focus");
+    setTimeout(() => card.classList.remove("resource-card-focus"), 2000);
   }
 
   initFilters() {
@@ -384,6 +694,7 @@ class ExamPortal {
           .forEach((t) => t.classList.remove("active"));
         tab.classList.add("active");
         this.currentGrade = tab.dataset.grade;
+        this.rememberGradePreference(this.currentGrade);
         this.loadTextbooks();
 
         // Track filter change
@@ -392,6 +703,22 @@ class ExamPortal {
     });
   }
 
+  // Textbooks show one grade at a time: keep the current one while it is
+  // still selected, otherwise show the first selected grade
+  getTextbookGrade(grades) {
+    if (grades.length === 0) return "all";
+
+    return grades.includes(this.currentGrade) ? this.currentGrade : grades[0];
+  }
+
+  // Remember the grade the user browses so search ranks it higher
+  rememberGradePreference(grade) {
+    if (!grade || grade === "all") return;
+
+    this.storage.updateUserPreferences({ grade });
+    this.searchClient.setPreferredGrade(grade);
+  }
+
   initFilterUI() {
     try {
       // Get filter options from data
@@ -410,30 +737,63 @@ class ExamPortal {
 
       // Listen to filter changes
       this.filterManager.onFilterChange((filters) => {
-        // Update current filters
-        this.currentCategory = filters.category;
-        this.currentYear = filters.year;
-        this.currentGrade = filters.grade;
+        // Update current filters and the old filter buttons
+        this.syncFilterState(filters);
 
         // Track filter changes with analytics
-        if (filters.category !== "all") {
-          this.analytics.trackFilterChange("category", filters.category);
+        if (filters.category.length > 0) {
+          this.analytics.trackFilterChange(
+            "category",
+            filters.category.join(",")
+          );
+        }
+        if (filters.grade.length > 0) {
+          this.analytics.trackFilterChange("grade", filters.grade.join(","));
+        }
+        if (filters.grade.length === 1) {
+          this.rememberGradePreference(filters.grade[0]);
+        }
+        if (filters.year.length > 0) {
+          this.analytics.trackFilterChange("year", filters.year.join(","));
+        }
+        if (filters.difficulty.length > 0) {
+          this.analytics.trackFilterChange(
+            "difficulty",
+            filters.difficulty.join(",")
+          );
         }
-        if (filters.grade !== "all") {
-          this.analytics.trackFilterChange("grade", filters.grade);
+        if (filters.subject.length > 0) {
+          this.analytics.trackFilterChange(
+            "subject",
+            filters.subject.join(",")
+          );
         }
-        if (filters.year !== "all") {
-          this.analytics.trackFilterChange("year", filters.year);
+        if (filters.language !== "all") {
+          this.analytics.trackFilterChange("language", filters.language);
         }
-        if (filters.subject !== "all") {
-          this.analytics.trackFilterChange("subject", filters.subject);
+        if (filters.topic !== "all") {
+          this.analytics.trackFilterChange("topic", filters.topic);
         }
         if (filters.sortBy !== "popular") {
           this.analytics.trackFilterChange("sort", filters.sortBy);
         }
-
-        // Update the old filter buttons to match (for consistency)
-        this.updateLegacyFiltersToMatch(filters);
+        if (filters.personal.length > 0) {
+          this.analytics.trackFilterChange(
+            "personal",
+            filters.personal.join(",")
+          );
+        }
+        if (filters.available) {
+          this.analytics.trackFilterChange("available", "1");
+        }
+        Object.keys(this.filterManager.rangeFilters).forEach((key) => {
+          if (filters[key]) {
+            this.analytics.trackFilterChange(
+              key,
+              this.filterManager.formatRange(filters[key])
+            );
+          }
+        });
 
         // Reload resources with new filters
         this.loadAllResources();
@@ -446,7 +806,7 @@ class ExamPortal {
       document.querySelectorAll(".grade-tab").forEach((tab) => {
         tab.addEventListener("click", () => {
           const grade = tab.dataset.grade || "9";
-          this.filterManager.setFilter("grade", grade);
+          this.filterManager.setFilter("grade", [grade]);
         });
       });
 
@@ -458,10 +818,57 @@ class ExamPortal {
     }
   }
 
+  // Point the past paper and textbook sections and the old filter
+  // buttons at the active filters
+  syncFilterState(filters) {
+    this.currentCategory = filters.category;
+    this.currentYear = filters.year;
+    this.currentGrade = this.getTextbookGrade(filters.grade);
+    this.updateLegacyFiltersToMatch(filters);
+  }
+
+  // Show the filters and search of a history entry (Back/Forward)
+  async restoreFromHistory(state) {
+    // Only the hash changed (resource detail opened or closed)
+    if (window.location.search === this.filterManager.getQueryString()) {
+      return;
+    }
+
+    this.filterManager.readURL();
+    this.filterManager.createFilterUI(
+      this.filterManager.getFilterOptions(this.resourcesData),
+      "filterContainer"
+    );
+    this.syncFilterState(this.filterManager.getActiveFilters());
+
+    this.closeAutocomplete();
+    this.searchTerm = this.filterManager.searchQuery;
+    document.getElementById("searchInput").value =
+      this.filterManager.searchQuery;
+    if (!this.searchTerm) {
+      document.getElementById("searchInfo")?.remove();
+    }
+
+    this.loadPastPapers();
+    this.loadTextbooks();
+    await this.loadAllResources();
+    this.showSearchResults(this.searchTerm);
+
+    // Entries reached with Forward have no stored position
+    if (typeof state?.scrollY === "number") {
+      window.scrollTo(0, state.scrollY);
+    }
+  }
+
   updateLegacyFiltersToMatch(filters) {
+    // A legacy button is active when its value is selected, or for "all"
+    // when nothing is
+    const isSelected = (values, value) =>
+      value === "all" ? values.length === 0 : values.includes(value);
+
     // Update category filter button
     document.querySelectorAll(".filter-btn").forEach((btn) => {
-      if (btn.dataset.filter === filters.category) {
+      if (isSelected(filters.category, btn.dataset.filter)) {
         btn.classList.add("active");
       } else {
         btn.classList.remove("active");
@@ -470,7 +877,7 @@ class ExamPortal {
 
     // Update year filter button
     document.querySelectorAll(".year-btn").forEach((btn) => {
-      if (btn.dataset.year === filters.year) {
+      if (isSelected(filters.year, btn.dataset.year)) {
         btn.classList.add("active");
       } else {
         btn.classList.remove("active");
@@ -479,7 +886,7 @@ class ExamPortal {
 
     // Update grade filter button
     document.querySelectorAll(".grade-tab").forEach((tab) => {
-      if (tab.dataset.grade === filters.grade) {
+      if (tab.dataset.grade === this.currentGrade) {
         tab.classList.add("active");
       } else {
         tab.classList.remove("active");
@@ -517,7 +924,10 @@ class ExamPortal {
     });
   }
 
-  loadAllResources() {
+  async loadAllResources() {
+    // Keep ?q= in step with the search being shown
+    this.filterManager.setSearchQuery(this.searchTerm);
+
     try {
       // Get active filters from filter manager
       const activeFilters = this.filterManager.getActiveFilters();
@@ -527,16 +937,46 @@ class ExamPortal {
         this.resourcesData
       );
 
+      // How many resources each filter option would leave
+      let facets = null;
+
+      // Spelling correction offered or applied for this search
+      let spellingSuggestion = null;
+      let isCorrected = false;
+
       // Apply search if there's a search term
       if (this.searchTerm) {
-        // Use search engine utility
-        filteredResources = this.searchEngine.search(this.searchTerm, {
+        // Parse field syntax (subject:physics year:2019..2024 -aptitude)
+        const { criteria, errors } = this.queryParser.parse(this.searchTerm);
+        this.showQueryErrors(errors);
+
+        const searchOptions = {
           filters: activeFilters,
           limit: 100, // Limit search results
-        });
+          includeMatches: true, // Match positions for highlighting
+        };
+
+        // Use search engine utility (newer searches cancel this one)
+        ({ results: filteredResources, facets } =
+          await this.searchClient.searchWithFacets(criteria, searchOptions));
+
+        // Nothing found: offer a spelling correction, or apply it right
+        // away when it is confident enough
+        if (filteredResources.length === 0) {
+          const correction = await this.getSpellingCorrection(searchOptions);
+          spellingSuggestion = correction.suggestion;
+
+          if (correction.resources.length > 0) {
+            filteredResources = correction.resources;
+            facets = correction.facets;
+            isCorrected = true;
+          }
+        }
 
-        // Save search to history
-        this.searchEngine.saveSearch(this.searchTerm);
+        // Look inside PDF contents too (page index is loaded on demand)
+        this.showPageResults(
+          [criteria.keywords, ...criteria.phrases].filter(Boolean).join(" ")
+        );
 
         // Track search with analytics
         this.analytics.trackSearch(
@@ -544,34 +984,142 @@ class ExamPortal {
           filteredResources.length,
           activeFilters
         );
+      } else {
+        this.showQueryErrors([]);
+        this.showPageResults("");
+
+        // Count filter options over the whole catalog, on the same engine
+        // (and channel) as searches so a newer search cancels this
+        ({ facets } = await this.searchClient.searchWithFacets(
+          {},
+          { filters: activeFilters, limit: 1 }
+        ));
       }
 
+      this.filterManager.updateFacetCounts(facets);
+
+      this.showSearchCorrection(isCorrected ? spellingSuggestion : null);
+
       // If no results, show message
       if (filteredResources.length === 0) {
-        this.renderNoResults(activeFilters);
+        this.renderNoResults(activeFilters, spellingSuggestion);
       } else {
         this.renderResources(filteredResources);
       }
+
+      this.renderRecommendations();
     } catch (error) {
+      // A newer search replaced this one
+      if (error.name === "AbortError") return;
+
       console.error("Error loading resources:", error);
       this.analytics.trackError(error, { context: "loadResources" });
       this.showError("Failed to load resources. Please try again.");
     }
   }
 
-  renderNoResults(filters) {
+  // Ask for a spelling correction of the current search, and run the
+  // corrected search when it can be applied automatically.
+  // Returns { suggestion, resources, facets }.
+  async getSpellingCorrection(searchOptions) {
+    const suggestion = await this.searchClient.getSpellingSuggestion(
+      this.searchTerm,
+      "search"
+    );
+
+    // The user asked for the search exactly as typed
+    if (!suggestion?.autoApply || this.searchTerm === this.searchAsTyped) {
+      return { suggestion, resources: [], facets: null };
+    }
+
+    const { criteria } = this.queryParser.parse(suggestion.query);
+    const { results, facets } = await this.searchClient.searchWithFacets(
+      criteria,
+      searchOptions
+    );
+
+    return { suggestion, resources: results, facets };
+  }
+
+  // Render a corrected query with the corrected words emphasized
+  formatCorrectedQuery({ query, corrections }) {
+    let html = "";
+    let last = 0;
+
+    corrections.forEach(({ to, start }) => {
+      html += this.escapeHTML(query.slice(last, start));
+      html += `<em>${this.escapeHTML(to)}</em>`;
+      last = start + to.length;
+    });
+
+    return html + this.escapeHTML(query.slice(last));
+  }
+
+  // Show "Showing results for ..." above the grid after an automatic
+  // spelling correction (or remove it)
+  showSearchCorrection(suggestion) {
+    let notice = document.getElementById("searchCorrection");
+
+    if (!suggestion) {
+      notice?.remove();
+      return;
+    }
+
+    if (!notice) {
+      const container = document.querySelector(".resources .container");
+      const resourcesGrid = container?.querySelector(".resources-grid");
+      if (!resourcesGrid) return;
+
+      notice = document.createElement("p");
+      notice.id = "searchCorrection";
+      notice.className = "search-correction";
+      container.insertBefore(notice, resourcesGrid);
+    }
+
+    notice.innerHTML = `
+            Showing results for
+            <a href="#" class="search-correction-query">${this.formatCorrectedQuery(
+              suggestion
+            )}</a>.
+            Search instead for
+            <a href="#" class="search-correction-original">${this.escapeHTML(
+              this.searchTerm
+            )}</a>
+        `;
+
+    notice
+      .querySelector(".search-correction-query")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.submitSearch(suggestion.query);
+      });
+
+    notice
+      .querySelector(".search-correction-original")
+      .addEventListener("click", (e) => {
+        e.preventDefault();
+        this.searchAsTyped = this.searchTerm;
+        this.loadAllResources();
+      });
+  }
+
+  renderNoResults(filters, spellingSuggestion = null) {
     const grid = document.getElementById("resourcesGrid");
 
     let message = "No resources found";
     let details = "Try adjusting your search or filter";
 
     // Provide more specific messages based on filters
-    if (filters.category !== "all") {
-      details = `No ${filters.category} resources found. Try removing the category filter.`;
+    if (filters.category.length > 0) {
+      details = `No ${filters.category.join(
+        " or "
+      )} resources found. Try removing the category filter.`;
     }
 
-    if (filters.grade !== "all") {
-      details = `No resources found for Grade ${filters.grade}. Try selecting a different grade.`;
+    if (filters.grade.length > 0) {
+      details = `No resources found for Grade ${filters.grade.join(
+        ", "
+      )}. Try selecting a different grade.`;
     }
 
     if (this.searchTerm) {
@@ -582,14 +1130,26 @@ class ExamPortal {
     grid.innerHTML = `
         <div class="no-results">
             <i class="fas fa-search"></i>
-            <h3>${message}</h3>
-            <p>${details}</p>
+            <h3>${this.escapeHTML(message)}</h3>
+            ${
+              spellingSuggestion
+                ? `<p class="did-you-mean">Did you mean <a href="#" id="didYouMean">${this.formatCorrectedQuery(
+                    spellingSuggestion
+                  )}</a>?</p>`
+                : ""
+            }
+            <p>${this.escapeHTML(details)}</p>
             <button class="btn btn-primary" id="resetFiltersBtn">
                 <i class="fas fa-redo"></i> Reset All Filters
             </button>
         </div>
     `;
 
+    document.getElementById("didYouMean")?.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.submitSearch(spellingSuggestion.query);
+    });
+
     // Add reset button listener
     document
       .getElementById("resetFiltersBtn")
@@ -605,10 +1165,10 @@ class ExamPortal {
     try {
       let filteredPapers = this.pastPapersData;
 
-      if (this.currentYear !== "all") {
-        filteredPapers = filteredPapers.filter(
-          (p) => p.year === this.currentYear
-        );
+      // currentYear is "all", a year or a list of years
+      const years = this.filterManager.toValueList(this.currentYear);
+      if (years.length > 0) {
+        filteredPapers = filteredPapers.filter((p) => years.includes(p.year));
       }
 
       this.renderPastPapers(filteredPapers);
@@ -665,11 +1225,14 @@ class ExamPortal {
     grid.innerHTML = resources
       .map(
         (resource) => `
-            <div class="resource-card" data-id="${resource.id}">
+            <div class="resource-card${
+              this.isUnavailable(resource.pdfUrl) ? " is-unavailable" : ""
+            }" data-id="${resource.id}">
                 <div class="resource-image">
                     <img src="${resource.image}" alt="${
           resource.title
         }" loading="lazy">
+                    ${this.renderComingSoonBadge(resource.pdfUrl)}
                     ${
                       this.isNewResource(resource.uploaded)
                         ? '<span class="new-badge">NEW</span>'
@@ -690,8 +1253,19 @@ class ExamPortal {
                           resource.grade
                         }</span>
                     </div>
-                    <h3 class="resource-title">${resource.title}</h3>
-                    <p class="resource-description">${resource.description}</p>
+                    <h3 class="resource-title">
+                        <a href="${this.getResourceLink(
+                          resource
+                        )}" class="resource-detail-link">${this.highlightText(
+          resource.title,
+          resource.matches?.title
+        )}</a>
+                    </h3>
+                    <p class="resource-description">${this.highlightText(
+                      resource.description,
+                      resource.matches?.description
+                    )}</p>
+                    ${this.renderMatchSnippet(resource)}
                     
                     <div class="resource-meta">
                         <div class="resource-info">
@@ -720,7 +1294,8 @@ class ExamPortal {
                                class="resource-download" 
                                download 
                                data-id="${resource.id}"
-                               data-title="${resource.title}">
+                               data-title="${resource.title}"
+                               ${this.getDownloadState(resource.pdfUrl)}>
                                 <i class="fas fa-download"></i> Download
                             </a>
                         </div>
@@ -731,7 +1306,13 @@ class ExamPortal {
                         ${
                           resource.tags
                             ? resource.tags
-                                .map((tag) => `<span class="tag">${tag}</span>`)
+                                .map((tag, index) =>
+                                  resource.matches?.tags?.some(
+                                    (match) => match.index === index
+                                  )
+                                    ? `<span class="tag tag-match">${tag}</span>`
+                                    : `<span class="tag">${tag}</span>`
+                                )
                                 .join("")
                             : ""
                         }
@@ -759,6 +1340,78 @@ class ExamPortal {
     this.addResourceEventListeners();
   }
 
+  // Escape text for safe insertion into HTML
+  escapeHTML(text) {
+    return (text || "")
+      .toString()
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // Wrap matched ranges ([{ start, end }]) of text in <mark>
+  highlightText(text, ranges = []) {
+    const value = (text || "").toString();
+    if (!ranges || ranges.length === 0) return this.escapeHTML(value);
+
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    let html = "";
+    let position = 0;
+
+    sorted.forEach(({ start, end }) => {
+      if (start < position) return; // Skip overlapping ranges
+      html += this.escapeHTML(value.slice(position, start));
+      html += `<mark>${this.escapeHTML(value.slice(start, end))}</mark>`;
+      position = end;
+    });
+
+    return html + this.escapeHTML(value.slice(position));
+  }
+
+  // Short line explaining why a search result matched, taken from the
+  // description or tags that contained the hit (nothing for title hits)
+  renderMatchSnippet(resource) {
+    const matches = resource.matches;
+    if (!matches || matches.title) return "";
+
+    if (matches.description) {
+      const text = resource.description;
+      const first = matches.description[0];
+      const start = Math.max(0, first.start - 40);
+      const end = Math.min(text.length, first.end + 60);
+
+      const ranges = matches.description
+        .filter((match) => match.start >= start && match.end <= end)
+        .map((match) => ({
+          start: match.start - start,
+          end: match.end - start,
+        }));
+
+      return `<p class="match-snippet"><i class="fas fa-quote-left"></i> ${
+        start > 0 ? "&hellip;" : ""
+      }${this.highlightText(text.slice(start, end), ranges)}${
+        end < text.length ? "&hellip;" : ""
+      }</p>`;
+    }
+
+    if (matches.tags) {
+      const indexes = [...new Set(matches.tags.map((match) => match.index))];
+      const tags = indexes.map((index) =>
+        this.highlightText(
+          resource.tags[index],
+          matches.tags.filter((match) => match.index === index)
+        )
+      );
+
+      return `<p class="match-snippet"><i class="fas fa-tag"></i> Matched tags: ${tags.join(
+        ", "
+      )}</p>`;
+    }
+
+    return "";
+  }
+
   renderPastPapers(papers) {
     const grid = document.getElementById("papersGrid");
 
@@ -783,6 +1436,7 @@ class ExamPortal {
                          class="paper-download" 
                          data-year="${paper.year}"
                          data-type="combined"
+                         ${this.getDownloadState(paper.combinedPdfUrl)}
                          role="button"
                          tabindex="0"
                          aria-label="Download all papers for ${paper.year}">
@@ -801,7 +1455,11 @@ class ExamPortal {
                     ${paper.subjects
                       .map(
                         (subject) => `
-                        <div class="paper-subject">
+                        <div class="paper-subject${
+                          this.isUnavailable(subject.pdfUrl)
+                            ? " is-unavailable"
+                            : ""
+                        }">
                             <div class="subject-info">
                                 <span class="subject-name">${
                                   subject.name
@@ -815,6 +1473,10 @@ class ExamPortal {
                                         ? `<i class="fas fa-file-alt"></i> ${subject.pages} pages`
                                         : ""
                                     }
+                                    ${this.renderPaperBadges(subject)}
+                                    ${this.renderComingSoonBadge(
+                                      subject.pdfUrl
+                                    )}
                                 </span>
                             </div>
                             <div class="subject-actions">
@@ -823,6 +1485,7 @@ class ExamPortal {
                                    download
                                    data-year="${paper.year}"
                                    data-subject="${subject.name}"
+                                   ${this.getDownloadState(subject.pdfUrl)}
                                    role="button"
                                    tabindex="0"
                                    aria-label="Download ${subject.name} paper ${
@@ -856,6 +1519,51 @@ class ExamPortal {
       .join("");
   }
 
+  // Check if a PDF is known to be missing (false while still unknown)
+  isUnavailable(url) {
+    return this.availability.isAvailable(url) === false;
+  }
+
+  // Attributes for a download link whose PDF is missing, so it reads as
+  // "coming soon" instead of failing on click
+  getDownloadState(url) {
+    return this.isUnavailable(url)
+      ? 'aria-disabled="true" data-unavailable title="Not available yet — coming soon"'
+      : "";
+  }
+
+  // "Coming soon" badge for a resource whose PDF is missing
+  renderComingSoonBadge(url) {
+    return this.isUnavailable(url)
+      ? '<span class="coming-soon-badge"><i class="fas fa-hourglass-half" aria-hidden="true"></i> Coming soon</span>'
+      : "";
+  }
+
+  // Difficulty, duration and question count badges for a past paper
+  renderPaperBadges(subject) {
+    const badges = [];
+
+    if (subject.difficulty) {
+      badges.push(
+        `<span class="paper-badge difficulty-${subject.difficulty.toLowerCase()}">${
+          subject.difficulty
+        }</span>`
+      );
+    }
+    if (subject.duration) {
+      badges.push(
+        `<span class="paper-badge"><i class="fas fa-clock" aria-hidden="true"></i> ${subject.duration}</span>`
+      );
+    }
+    if (subject.questions) {
+      badges.push(
+        `<span class="paper-badge"><i class="fas fa-list-ol" aria-hidden="true"></i> ${subject.questions} questions</span>`
+      );
+    }
+
+    return badges.join("");
+  }
+
   renderTextbooks(textbooks, grade = null) {
     const grid = document.getElementById("textbooksGrid");
 
@@ -881,11 +1589,14 @@ class ExamPortal {
     grid.innerHTML = textbooks
       .map(
         (textbook) => `
-            <div class="textbook-card">
+            <div class="textbook-card${
+              this.isUnavailable(textbook.pdfUrl) ? " is-unavailable" : ""
+            }">
                 <div class="textbook-image">
                     <div class="textbook-cover">
                         <i class="fas fa-book-open"></i>
                     </div>
+                    ${this.renderComingSoonBadge(textbook.pdfUrl)}
                     ${
                       textbook.edition
                         ? `<span class="edition-badge">${textbook.edition} Edition</span>`
@@ -947,7 +1658,8 @@ class ExamPortal {
                            class="textbook-download" 
                            download
                            data-id="${textbook.id}"
-                           data-subject="${textbook.subject}">
+                           data-subject="${textbook.subject}"
+                           ${this.getDownloadState(textbook.pdfUrl)}>
                             <i class="fas fa-download"></i> Download
                         </a>
                         ${
@@ -1026,6 +1738,7 @@ class ExamPortal {
               fileSize: fileSize,
               timestamp: new Date().toISOString(),
             });
+            this.updatePersonalization();
 
             // Update download count
             this.updateDownloadCount(resourceId);
@@ -1265,6 +1978,112 @@ class ExamPortal {
     return diffDays <= 7; // New if uploaded within last 7 days
   }
 
+  // Rebuild the interest profile from downloads and favorites, use it for
+  // search ranking and refresh the recommendations row
+  updatePersonalization() {
+    this.userProfile = this.recommendationEngine.buildProfile(
+      this.resourcesData,
+      this.storage.getDownloadHistory(),
+      this.favorites
+    );
+    this.searchClient.setUserProfile(this.userProfile);
+    this.filterManager.setUserProfile(this.userProfile);
+    this.renderRecommendations();
+
+    // Favorites and downloads decide what the personal filters show
+    if (this.filterManager.getActiveFilters().personal.length > 0) {
+      this.loadAllResources();
+    }
+  }
+
+  // Find out which PDFs are present, then mark the missing ones and let
+  // the "Available now" filter use the result
+  async loadAvailability() {
+    await this.availability.load([
+      ...this.resourcesData.map((resource) => resource.pdfUrl),
+      ...this.pastPapersData.map((paper) => paper.combinedPdfUrl),
+    ]);
+
+    const availableIds = this.resourcesData
+      .filter((resource) => this.availability.isAvailable(resource.pdfUrl))
+      .map((resource) => resource.id);
+
+    this.filterManager.setAvailableIds(availableIds);
+    this.searchClient.setAvailableIds(availableIds);
+
+    this.loadAllResources();
+    this.loadPastPapers();
+    this.loadTextbooks();
+  }
+
+  // Show "Recommended for you" above the grid while browsing. Hidden while
+  // searching and until the user has downloads or favorites.
+  renderRecommendations() {
+    let row = document.getElementById("recommendations");
+    const recommendations = this.searchTerm
+      ? []
+      : this.recommendationEngine.getRecommendations(
+          this.resourcesData,
+          this.userProfile,
+          { excludeIds: this.favorites }
+        );
+
+    if (recommendations.length === 0) {
+      row?.remove();
+      return;
+    }
+
+    if (!row) {
+      const grid = document.getElementById("resourcesGrid");
+      if (!grid) return;
+
+      row = document.createElement("section");
+      row.id = "recommendations";
+      row.className = "recommendations";
+      row.setAttribute("aria-labelledby", "recommendationsTitle");
+      grid.parentNode.insertBefore(row, grid);
+
+      row.addEventListener("click", (e) => {
+        const card = e.target.closest(".recommendation-card");
+        if (!card) return;
+
+        e.preventDefault();
+        const resource = this.resourcesData.find(
+          (r) => r.id === card.dataset.id
+        );
+        this.analytics.trackInteraction("recommendation", "select", {
+          resourceId: resource.id,
+        });
+        this.jumpToResource(resource);
+      });
+    }
+
+    row.innerHTML = `
+            <h3 class="recommendations-title" id="recommendationsTitle">
+                <i class="fas fa-star"></i> Recommended for you
+            </h3>
+            <div class="recommendations-list">
+                ${recommendations
+                  .map(
+                    (resource) => `
+                    <a href="#" class="recommendation-card" data-id="${
+                      resource.id
+                    }">
+                        ${this.getCategoryIcon(resource.category)}
+                        <span class="recommendation-title">${this.escapeHTML(
+                          resource.title
+                        )}</span>
+                        <span class="recommendation-meta">${this.escapeHTML(
+                          resource.subject
+                        )} &middot; Grade ${resource.grade}</span>
+                    </a>
+                `
+                  )
+                  .join("")}
+            </div>
+        `;
+  }
+
   isFavorite(resourceId) {
     return this.favorites.includes(resourceId);
   }
@@ -1288,14 +2107,21 @@ class ExamPortal {
 
     searchInfo.innerHTML = `
             <div class="search-results-info">
-                <span class="search-term">"${term}"</span>
+                <span class="search-term">"${this.escapeHTML(term)}"</span>
                 <span class="results-count">${resultsCount} results found</span>
+                <button class="save-search" id="saveSearch">
+                    <i class="fas fa-bookmark"></i> Save search
+                </button>
                 <button class="clear-search" id="clearSearch">
                     <i class="fas fa-times"></i> Clear
                 </button>
             </div>
         `;
 
+    document.getElementById("saveSearch")?.addEventListener("click", () => {
+      this.saveCurrentSearch();
+    });
+
     document.getElementById("clearSearch")?.addEventListener("click", () => {
       document.getElementById("searchInput").value = "";
       this.searchTerm = "";
@@ -1304,6 +2130,553 @@ class ExamPortal {
     });
   }
 
+  initSavedSearches() {
+    document
+      .getElementById("savedSearchesToggle")
+      ?.addEventListener("click", () => this.openSavedSearchesPanel());
+
+    // Saved searches can filter on "Available now", so wait until
+    // availability is known
+    this.availabilityReady.then(() => this.checkSavedSearches());
+  }
+
+  // Get the ids of resources matching a saved search right now
+  async getSavedSearchMatches(savedSearch) {
+    const { criteria } = this.queryParser.parse(savedSearch.query);
+    const results = await this.searchClient.advancedSearch(
+      criteria,
+      { filters: savedSearch.filters },
+      null // never superseded by typing
+    );
+
+    return results.map((resource) => resource.id);
+  }
+
+  // Find resources added to the catalog since each saved search was last
+  // looked at, and show how many there are on the nav badge
+  async checkSavedSearches() {
+    this.savedSearchAlerts = new Map();
+
+    try {
+      for (const savedSearch of this.storage.getSavedSearches()) {
+        const seenIds = new Set(savedSearch.seenIds);
+        const newIds = (await this.getSavedSearchMatches(savedSearch)).filter(
+          (id) => !seenIds.has(id)
+        );
+
+        if (newIds.length > 0) {
+          this.savedSearchAlerts.set(
+            savedSearch.id,
+            newIds.map((id) => this.resourcesData.find((r) => r.id === id))
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Error checking saved searches:", error);
+    }
+
+    this.updateSavedSearchesBadge();
+  }
+
+  // Show the number of new matches on the saved searches button
+  updateSavedSearchesBadge() {
+    const badge = document.getElementById("savedSearchesBadge");
+    const toggle = document.getElementById("savedSearchesToggle");
+    if (!badge || !toggle) return;
+
+    const count = Array.from(this.savedSearchAlerts.values()).reduce(
+      (total, resources) => total + resources.length,
+      0
+    );
+
+    badge.textContent = count;
+    badge.hidden = count === 0;
+    toggle.setAttribute(
+      "aria-label",
+      count > 0
+        ? `Saved searches, ${count} new matching resources`
+        : "Saved searches"
+    );
+  }
+
+  // Save the current query and filters
+  async saveCurrentSearch() {
+    if (!this.searchTerm) return;
+
+    const filters = this.filterManager.getActiveFilters();
+
+    try {
+      const seenIds = await this.getSavedSearchMatches({
+        query: this.searchTerm,
+        filters,
+      });
+      this.storage.addSavedSearch(this.searchTerm, filters, seenIds);
+      this.showNotification(
+        "Search saved. We'll tell you when new resources match it.",
+        "success"
+      );
+    } catch (error) {
+      console.error("Error saving search:", error);
+      this.showError("Failed to save search. Please try again.");
+    }
+  }
+
+  // Describe the filters of a saved search ("grade: 12, year: 2024")
+  describeSavedSearchFilters(filters) {
+    return Object.entries(filters)
+      .filter(
+        ([key, value]) =>
+          key !== "sortBy" &&
+          value !== "all" &&
+          value !== null &&
+          value !== false &&
+          !(Array.isArray(value) && value.length === 0)
+      )
+      .map(([key, value]) => {
+        if (key === "available") return "available now";
+
+        const range = this.filterManager.rangeFilters[key];
+        if (range) {
+          return `${range.label}: ${this.filterManager.formatRangeLabel(
+            key,
+            value
+          )}`;
+        }
+
+        return `${key}: ${[].concat(value).join(", ")}`;
+      })
+      .join(", ");
+  }
+
+  // Show the saved searches panel
+  openSavedSearchesPanel() {
+    document.getElementById("savedSearchesPanel")?.remove();
+
+    const savedSearches = this.storage.getSavedSearches();
+    const panel = document.createElement("div");
+    panel.id = "savedSearchesPanel";
+    panel.className = "confirm-dialog saved-searches-panel";
+    panel.setAttribute("role", "dialog");
+    panel.setAttribute("aria-modal", "true");
+    panel.setAttribute("aria-labelledby", "savedSearchesTitle");
+
+    panel.innerHTML = `
+            <div class="dialog-content">
+                <h3 id="savedSearchesTitle">Saved searches</h3>
+                ${
+                  savedSearches.length === 0
+                    ? `<p>Search for something and choose "Save search" to be told when new resources match it.</p>`
+                    : `<ul class="saved-searches-list">
+                        ${savedSearches
+                          .map((savedSearch) =>
+                            this.renderSavedSearch(savedSearch)
+                          )
+                          .join("")}
+                    </ul>`
+                }
+                <div class="dialog-actions">
+                    <button class="btn-cancel">Close</button>
+                </div>
+            </div>
+        `;
+
+    document.body.appendChild(panel);
+    panel.querySelector(".btn-cancel").focus();
+
+    const close = () => panel.remove();
+
+    panel.addEventListener("click", (e) => {
+      // Close on outside click
+      if (e.target === panel || e.target.closest(".btn-cancel")) {
+        close();
+        return;
+      }
+
+      const action = e.target.closest("[data-action]");
+      if (!action) return;
+
+      const item = action.closest("[data-search-id]");
+      const savedSearch = savedSearches.find(
+        (search) => search.id === item.dataset.searchId
+      );
+
+      switch (action.dataset.action) {
+        case "run":
+          close();
+          this.runSavedSearch(savedSearch);
+          break;
+
+        case "open": {
+          const resource = this.resourcesData.find(
+            (r) => r.id === action.dataset.resourceId
+          );
+          close();
+          this.markSavedSearchSeen(savedSearch);
+          this.jumpToResource(resource);
+          break;
+        }
+
+        case "dismiss":
+          this.markSavedSearchSeen(savedSearch);
+          item.querySelector(".saved-search-new")?.remove();
+          break;
+
+        case "delete":
+          this.storage.removeSavedSearch(savedSearch.id);
+          this.savedSearchAlerts.delete(savedSearch.id);
+          this.updateSavedSearchesBadge();
+          item.remove();
+          break;
+      }
+    });
+
+    panel.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") close();
+    });
+  }
+
+  // Render one saved search of the panel, with its new matches
+  renderSavedSearch(savedSearch) {
+    const newResources = this.savedSearchAlerts.get(savedSearch.id) || [];
+    const filters = this.describeSavedSearchFilters(savedSearch.filters);
+
+    return `
+            <li class="saved-search" data-search-id="${savedSearch.id}">
+                <div class="saved-search-header">
+                    <div>
+                        <strong>${this.escapeHTML(
+                          savedSearch.query || "All resources"
+                        )}</strong>
+                        ${
+                          filters
+                            ? `<span class="saved-search-filters">${this.escapeHTML(
+                                filters
+                              )}</span>`
+                            : ""
+                        }
+                    </div>
+                    <div class="saved-search-actions">
+                        <button data-action="run" title="Run search">
+                            <i class="fas fa-search"></i>
+                        </button>
+                        <button data-action="delete" title="Delete saved search">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                ${
+                  newResources.length > 0
+                    ? `<div class="saved-search-new">
+                        <span>${newResources.length} new</span>
+                        <ul>
+                            ${newResources
+                              .map(
+                                (resource) => `
+                                <li>
+                                    <a href="#" data-action="open" data-resource-id="${
+                                      resource.id
+                                    }">${this.escapeHTML(resource.title)}</a>
+                                </li>
+                            `
+                              )
+                              .join("")}
+                        </ul>
+                        <button data-action="dismiss">Mark as seen</button>
+                    </div>`
+                    : ""
+                }
+            </li>
+        `;
+  }
+
+  initFilterPresets() {
+    const container = document.getElementById("filterPresets");
+    if (!container) return;
+
+    container.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-action]");
+      if (!button) return;
+
+      const chip = button.closest(".filter-preset");
+      const preset = chip
+        ? this.storage
+            .getFilterPresets()
+            .find((item) => item.id === chip.dataset.presetId)
+        : null;
+
+      switch (button.dataset.action) {
+        case "save":
+          this.showPresetNameInput(
+            button,
+            this.getDefaultPresetName(),
+            (name) => {
+              this.storage.addFilterPreset(
+                name,
+                this.filterManager.getActiveFilters(),
+                this.searchTerm
+              );
+              this.showNotification(`Preset "${name}" saved.`, "success");
+            }
+          );
+          break;
+        case "apply":
+          if (preset) this.applyFilterPreset(preset);
+          break;
+        case "rename":
+          if (preset) {
+            this.showPresetNameInput(chip, preset.name, (name) =>
+              this.storage.updateFilterPreset(preset.id, { name })
+            );
+          }
+          break;
+        case "delete":
+          if (preset) {
+            this.storage.removeFilterPreset(preset.id);
+            this.renderFilterPresets();
+          }
+          break;
+      }
+    });
+
+    this.renderFilterPresets();
+  }
+
+  // Show saved presets as chips, plus a button saving the current state
+  renderFilterPresets() {
+    const container = document.getElementById("filterPresets");
+    if (!container) return;
+
+    const presets = this.storage.getFilterPresets();
+
+    container.innerHTML = `
+        ${presets
+          .map(
+            (preset) => `
+            <span class="filter-preset" data-preset-id="${preset.id}">
+                <button class="filter-preset-apply" data-action="apply" title="${this.escapeHTML(
+                  [
+                    preset.query && `"${preset.query}"`,
+                    this.describeSavedSearchFilters(preset.filters),
+                  ]
+                    .filter(Boolean)
+                    .join(", ") || "All resources"
+                )}">${this.escapeHTML(preset.name)}</button>
+                <button class="filter-preset-action" data-action="rename" aria-label="Rename preset ${this.escapeHTML(
+                  preset.name
+                )}"><i class="fas fa-pen" aria-hidden="true"></i></button>
+                <button class="filter-preset-action" data-action="delete" aria-label="Delete preset ${this.escapeHTML(
+                  preset.name
+                )}"><i class="fas fa-times" aria-hidden="true"></i></button>
+            </span>
+        `
+          )
+          .join("")}
+        <button class="filter-preset-save" data-action="save">
+            <i class="fas fa-plus" aria-hidden="true"></i> Save as preset
+        </button>
+    `;
+  }
+
+  // Suggest a preset name from the search term and active filters
+  getDefaultPresetName() {
+    return (
+      [
+        this.searchTerm && `"${this.searchTerm}"`,
+        this.describeSavedSearchFilters(this.filterManager.getActiveFilters()),
+      ]
+        .filter(Boolean)
+        .join(", ")
+        .slice(0, 60) || "All resources"
+    );
+  }
+
+  // Swap an element for a name field. Enter saves a non-empty name,
+  // Escape or leaving the field cancels.
+  showPresetNameInput(element, initialName, onSubmit) {
+    const form = document.createElement("form");
+    form.className = "filter-preset-form";
+    form.innerHTML = `
+        <input type="text" class="filter-preset-input" maxlength="60" aria-label="Preset name" required>
+        <button type="submit" class="filter-preset-action" aria-label="Save preset name"><i class="fas fa-check" aria-hidden="true"></i></button>
+    `;
+
+    const input = form.querySelector("input");
+    input.value = initialName;
+
+    let done = false;
+    const finish = (name) => {
+      if (done) return;
+      done = true;
+
+      if (name) onSubmit(name);
+      this.renderFilterPresets();
+    };
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      finish(input.value.trim());
+    });
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") finish(null);
+    });
+    form.addEventListener("focusout", (e) => {
+      if (!form.contains(e.relatedTarget)) finish(null);
+    });
+
+    element.replaceWith(form);
+    input.focus();
+    input.select();
+  }
+
+  // Apply a preset's filters and search term
+  applyFilterPreset(preset) {
+    if (!preset.query) {
+      document.getElementById("searchInput").value = "";
+      document.getElementById("searchInfo")?.remove();
+      this.searchTerm = "";
+    }
+
+    this.filterManager.setFilters(preset.filters);
+    this.filterManager.createFilterUI(
+      this.filterManager.getFilterOptions(this.resourcesData),
+      "filterContainer"
+    );
+
+    if (preset.query) {
+      this.submitSearch(preset.query);
+    }
+  }
+
+  // Apply a saved search's filters and query
+  runSavedSearch(savedSearch) {
+    this.filterManager.setFilters(savedSearch.filters);
+    this.filterManager.createFilterUI(
+      this.filterManager.getFilterOptions(this.resourcesData),
+      "filterContainer"
+    );
+    this.markSavedSearchSeen(savedSearch);
+    this.submitSearch(savedSearch.query);
+  }
+
+  // Stop reporting the current matches of a saved search as new
+  async markSavedSearchSeen(savedSearch) {
+    this.savedSearchAlerts.delete(savedSearch.id);
+    this.updateSavedSearchesBadge();
+
+    try {
+      this.storage.updateSavedSearch(savedSearch.id, {
+        seenIds: await this.getSavedSearchMatches(savedSearch),
+      });
+    } catch (error) {
+      console.error("Error updating saved search:", error);
+    }
+  }
+
+  // Show query syntax errors inline under the search box
+  showQueryErrors(errors) {
+    let errorBox = document.getElementById("searchErrors");
+
+    if (errors.length === 0) {
+      errorBox?.remove();
+      return;
+    }
+
+    if (!errorBox) {
+      const searchBox = document.querySelector(".search-box");
+      if (!searchBox) return;
+
+      errorBox = document.createElement("div");
+      errorBox.id = "searchErrors";
+      errorBox.className = "search-errors";
+      errorBox.setAttribute("role", "alert");
+      searchBox.insertAdjacentElement("afterend", errorBox);
+    }
+
+    errorBox.innerHTML = "";
+    errors.forEach((error) => {
+      const line = document.createElement("p");
+      line.innerHTML = '<i class="fas fa-exclamation-circle"></i> ';
+      line.appendChild(document.createTextNode(error.message));
+      errorBox.appendChild(line);
+    });
+  }
+
+  // Show links to PDF pages whose text matches the search
+  async showPageResults(query) {
+    const requestId = ++this.pageSearchId;
+    let hits = [];
+
+    if (query) {
+      try {
+        hits = await this.searchClient.searchPages(query, { limit: 5 });
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          console.error("Error searching PDF pages:", error);
+        }
+        return;
+      }
+    }
+
+    // A newer search started while this one was loading
+    if (requestId !== this.pageSearchId) return;
+
+    let container = document.getElementById("pageResults");
+
+    if (hits.length === 0) {
+      container?.remove();
+      return;
+    }
+
+    if (!container) {
+      const searchInfo =
+        document.getElementById("searchInfo") || this.createSearchInfoElement();
+      container = document.createElement("div");
+      container.id = "pageResults";
+      container.className = "page-results";
+      searchInfo.appendChild(container);
+    }
+
+    const pageLink = (resource, page, label) =>
+      `<a href="${resource.pdfUrl}#page=${page}" target="_blank" rel="noopener">${label}</a>`;
+
+    container.innerHTML = `
+            <h4 class="page-results-title">
+                <i class="fas fa-file-pdf"></i> Found inside PDFs
+            </h4>
+            <ul class="page-results-list">
+                ${hits
+                  .map(
+                    ({ resource, pages }) => `
+                    <li>
+                        ${pageLink(
+                          resource,
+                          pages[0],
+                          `${this.escapeHTML(resource.title)} &mdash; p. ${
+                            pages[0]
+                          }`
+                        )}
+                        ${
+                          pages.length > 1
+                            ? `<span class="page-results-more">also ${pages
+                                .slice(1, 4)
+                                .map((page) =>
+                                  pageLink(resource, page, `p. ${page}`)
+                                )
+                                .join(", ")}${
+                                pages.length > 4
+                                  ? ` and ${pages.length - 4} more`
+                                  : ""
+                              }</span>`
+                            : ""
+                        }
+                    </li>
+                `
+                  )
+                  .join("")}
+            </ul>
+        `;
+  }
+
   createSearchInfoElement() {
     const container = document.querySelector(".resources .container");
     const searchInfo = document.createElement("div");
@@ -1439,6 +2812,10 @@ class ExamPortal {
   }
 
   async isFileAvailable(url) {
+    // Known from the availability manifest or an earlier check
+    const known = this.availability.isAvailable(url);
+    if (known !== null) return known;
+
     try {
       const response = await fetch(url, { method: "HEAD" });
       return response.ok;
@@ -1472,19 +2849,243 @@ class ExamPortal {
     document.querySelectorAll(".btn-preview").forEach((btn) => {
       btn.addEventListener("click", (e) => {
         e.preventDefault();
-        const previewUrl = btn.dataset.preview;
-        if (previewUrl && previewUrl !== "#") {
-          window.open(previewUrl, "_blank");
-        } else {
-          this.showNotification(
-            "Preview not available for this resource.",
-            "info"
-          );
-        }
+        this.openPreview(btn.dataset.preview);
       });
     });
   }
 
+  // Open a resource preview in a new tab
+  openPreview(previewUrl) {
+    if (previewUrl && previewUrl !== "#") {
+      window.open(previewUrl, "_blank");
+    } else {
+      this.showNotification("Preview not available for this resource.", "info");
+    }
+  }
+
+  // Stable link to a resource's detail view
+  getResourceLink(resource) {
+    return `#/resource/${encodeURIComponent(resource.id)}`;
+  }
+
+  // Show or hide the resource detail view to match the URL hash. On
+  // start-up (initial) the view was opened by a shared link rather than
+  // from within the page.
+  handleRoute({ initial = false } = {}) {
+    const match = /^#\/resource\/(.+)$/.exec(window.location.hash);
+
+    if (!match) {
+      this.closeResourceDetail();
+      return;
+    }
+
+    const id = decodeURIComponent(match[1]).toLowerCase();
+    const resource = this.resourcesData.find(
+      (item) => item.id.toLowerCase() === id
+    );
+
+    if (!resource) {
+      this.showNotification("That resource could not be found.", "error");
+      this.leaveResourceDetail();
+      return;
+    }
+
+    this.resourceDetailFromPage = !initial;
+    this.openResourceDetail(resource);
+  }
+
+  // Leave the detail view: go Back when it was opened from the page, so
+  // the history stays as it was, otherwise drop the hash
+  leaveResourceDetail() {
+    if (this.resourceDetailFromPage) {
+      window.history.back();
+      return;
+    }
+
+    window.history.replaceState(
+      window.history.state,
+      "",
+      window.location.pathname + window.location.search
+    );
+    this.closeResourceDetail();
+  }
+
+  // Remove the detail view
+  closeResourceDetail() {
+    const panel = document.getElementById("resourceDetail");
+    if (!panel) return;
+
+    panel.remove();
+    this.resourceDetailFromPage = false;
+
+    // Give focus back to the card the view was opened from
+    this.resourceDetailOpener?.focus();
+    this.resourceDetailOpener = null;
+  }
+
+  // Pick resources related to one: same subject first, then same grade
+  getRelatedResources(resource, limit = 4) {
+    return this.resourcesData
+      .filter((item) => item.id !== resource.id)
+      .map((item) => ({
+        item,
+        score:
+          (item.subject === resource.subject ? 2 : 0) +
+          (item.grade === resource.grade ? 1 : 0) +
+          (item.category === resource.category ? 0.5 : 0),
+      }))
+      .filter(({ score }) => score >= 2)
+      .sort(
+        (a, b) =>
+          b.score - a.score || (b.item.downloads || 0) - (a.item.downloads || 0)
+      )
+      .slice(0, limit)
+      .map(({ item }) => item);
+  }
+
+  // Show everything known about a resource, with preview and download
+  // actions and related resources
+  openResourceDetail(resource) {
+    const existing = document.getElementById("resourceDetail");
+    if (existing) {
+      existing.remove();
+    } else if (document.activeElement?.closest(".resource-card")) {
+      this.resourceDetailOpener = document.activeElement;
+    }
+
+    const details = [
+      ["Subject", resource.subject],
+      ["Grade", resource.grade],
+      ["Year", resource.year],
+      ["Language", resource.language],
+      ["Pages", resource.pages],
+      ["File size", resource.fileSize],
+      ["Questions", resource.questions],
+      ["Duration", resource.duration],
+      ["Difficulty", resource.difficulty],
+      ["Downloads", this.formatDownloadCount(resource.downloads || 0)],
+      ["Updated", this.formatDate(resource.uploaded)],
+      ["Quality", resource.quality],
+      ["Publisher", resource.publisher],
+      ["Topics", (resource.topics || []).join(", ")],
+    ].filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    );
+    const related = this.getRelatedResources(resource);
+
+    const panel = document.createElement("div");
+    panel.id = "resourceDetail";
+    panel.className = "confirm-dialog resource-detail";
+    panel.setAttribute("role", "dialog");
+    panel.setAttribute("aria-modal", "true");
+    panel.setAttribute("aria-labelledby", "resourceDetailTitle");
+
+    panel.innerHTML = `
+            <div class="dialog-content">
+                <span class="resource-category">${this.getCategoryIcon(
+                  resource.category
+                )} ${this.escapeHTML(resource.category.toUpperCase())}</span>
+                <h3 id="resourceDetailTitle">${this.escapeHTML(
+                  resource.title
+                )}</h3>
+                <p>${this.escapeHTML(resource.description)}</p>
+                <dl class="resource-detail-meta">
+                    ${details
+                      .map(
+                        ([label, value]) => `
+                        <dt>${label}</dt>
+                        <dd>${this.escapeHTML(value)}</dd>
+                    `
+                      )
+                      .join("")}
+                </dl>
+                ${
+                  resource.tags && resource.tags.length > 0
+                    ? `<div class="resource-tags">${resource.tags
+                        .map(
+                          (tag) =>
+                            `<span class="tag">${this.escapeHTML(tag)}</span>`
+                        )
+                        .join("")}</div>`
+                    : ""
+                }
+                ${
+                  related.length > 0
+                    ? `<div class="resource-detail-related">
+                        <h4>Related resources</h4>
+                        <ul>
+                            ${related
+                              .map(
+                                (item) => `
+                                <li><a href="${this.getResourceLink(
+                                  item
+                                )}" data-related>${this.escapeHTML(
+                                  item.title
+                                )}</a></li>
+                            `
+                              )
+                              .join("")}
+                        </ul>
+                    </div>`
+                    : ""
+                }
+                <div class="dialog-actions">
+                    <button class="btn-cancel">Close</button>
+                    ${
+                      resource.previewUrl
+                        ? `<button class="btn-preview" data-preview="${this.escapeHTML(
+                            resource.previewUrl
+                          )}"><i class="fas fa-eye"></i> Preview</button>`
+                        : ""
+                    }
+                    <a href="${this.escapeHTML(resource.pdfUrl)}"
+                       class="resource-download btn-confirm"
+                       download
+                       data-id="${this.escapeHTML(resource.id)}"
+                       data-title="${this.escapeHTML(resource.title)}"
+                       ${this.getDownloadState(resource.pdfUrl)}>
+                        <i class="fas fa-download"></i> Download
+                    </a>
+                </div>
+            </div>
+        `;
+
+    document.body.appendChild(panel);
+    panel.querySelector(".btn-cancel").focus();
+
+    panel.addEventListener("click", (e) => {
+      // Close on outside click
+      if (e.target === panel || e.target.closest(".btn-cancel")) {
+        this.leaveResourceDetail();
+        return;
+      }
+
+      const preview = e.target.closest(".btn-preview");
+      if (preview) {
+        e.preventDefault();
+        this.openPreview(preview.dataset.preview);
+        return;
+      }
+
+      // Related resources replace this view rather than stacking up
+      // history entries
+      const relatedLink = e.target.closest("[data-related]");
+      if (relatedLink) {
+        e.preventDefault();
+        window.history.replaceState(
+          window.history.state,
+          "",
+          relatedLink.getAttribute("href")
+        );
+        this.handleRoute({ initial: !this.resourceDetailFromPage });
+      }
+    });
+
+    panel.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.leaveResourceDetail();
+    });
+  }
+
   toggleFavorite(resourceId) {
     const index = this.favorites.indexOf(resourceId);
     if (index === -1) {
@@ -1494,7 +3095,8 @@ class ExamPortal {
       this.favorites.splice(index, 1);
       this.showNotification("Removed from favorites", "info");
     }
-    localStorage.setItem("favorites", JSON.stringify(this.favorites));
+    this.storage.set("favorites", this.favorites);
+    this.updatePersonalization();
   }
 
   addEventListeners() {
@@ -0,0 +1,57 @@
+// Build the list of PDFs that are actually present under pdfs/.
+//
+// Writes data/availability.json, which the site loads on start-up to mark
+// resources whose file has not been added yet and to power the "Available
+// now" filter. Without it the site falls back to HEAD requests.
+//
+// Usage (from the repository root, re-run whenever PDFs are added):
+//   node scripts/build-availability-manifest.mjs
+import { readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const rootDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  ".."
+);
+const pdfDir = path.join(rootDir, "pdfs");
+const outputFile = path.join(rootDir, "data", "availability.json");
+
+// List the PDF files under a directory as "./pdfs/..." URLs
+async function listPdfs(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      files.push(...(await listPdfs(fullPath)));
+    } else if (entry.name.toLowerCase().endsWith(".pdf")) {
+      files.push(
+        `./${path.relative(rootDir, fullPath).split(path.sep).join("/")}`
+      );
+    }
+  }
+
+  return files;
+}
+
+async function main() {
+  const files = (await listPdfs(pdfDir)).sort();
+
+  const manifest = {
+    version: 1,
+    generated: new Date().toISOString(),
+    files,
+  };
+
+  await writeFile(outputFile, JSON.stringify(manifest, null, 2));
+
+  console.log(`Wrote availability manifest: ${files.length} PDFs`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+// Build the PDF page index used for full-text search.
+//
+// Extracts the text of every page of each catalog PDF present under pdfs/
+// and writes a compact term -> page numbers index per resource to
+// data/page-index/, plus a manifest.json that SearchEngine.searchPages()
+// fetches lazily the first time someone searches.
+//
+// Usage (from the repository root, re-run whenever PDFs are added; see
+// scripts/README.md):
+//   npm install --no-save pdfjs-dist@4
+//   node scripts/build-page-index.mjs
+import { access, mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { resourcesData } from "../data/resources.js";
+import { tokenizer } from "../utils/tokenizer.js";
+
+const rootDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  ".."
+);
+const outputDir = path.join(rootDir, "data", "page-index");
+
+// Terms longer than this are extraction noise (URLs, run-together words)
+const MAX_TERM_LENGTH = 30;
+
+// Check if a file exists
+async function fileExists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Extract the plain text of each page of a PDF
+async function extractPages(file) {
+  const data = new Uint8Array(await readFile(file));
+  const pdf = await getDocument({ data, verbosity: 0 }).promise;
+  const pages = [];
+
+  for (let number = 1; number <= pdf.numPages; number++) {
+    const page = await pdf.getPage(number);
+    const content = await page.getTextContent();
+    pages.push(content.items.map((item) => item.str).join(" "));
+    page.cleanup();
+  }
+
+  await pdf.destroy();
+  return pages;
+}
+
+// Build { term: [page numbers] } using the same tokenizer as the search index
+function buildTermIndex(pages) {
+  const terms = {};
+
+  pages.forEach((text, i) => {
+    const pageNumber = i + 1;
+
+    new Set(tokenizer.tokenize(text)).forEach((term) => {
+      if (term.length > MAX_TERM_LENGTH) return;
+
+      terms[term] = terms[term] || [];
+      terms[term].push(pageNumber);
+    });
+  });
+
+  return terms;
+}
+
+// Turn a resource id into a safe file name
+function toFileName(id) {
+  return `${id.toLowerCase().replace(/[^a-z0-9-]+/g, "-")}.json`;
+}
+
+async function main() {
+  await rm(outputDir, { recursive: true, force: true });
+  await mkdir(outputDir, { recursive: true });
+
+  const manifest = {
+    version: 1,
+    generated: new Date().toISOString(),
+    resources: {},
+  };
+
+  for (const resource of resourcesData) {
+    if (!resource.pdfUrl) continue;
+
+    const file = path.join(rootDir, resource.pdfUrl);
+    if (!(await fileExists(file))) continue;
+
+    try {
+      const pages = await extractPages(file);
+      const fileName = toFileName(resource.id);
+
+      const index = {
+        id: resource.id,
+        pages: pages.length,
+        terms: buildTermIndex(pages),
+      };
+
+      await writeFile(path.join(outputDir, fileName), JSON.stringify(index));
+      manifest.resources[resource.id] = {
+        file: fileName,
+        pages: pages.length,
+      };
+
+      console.log(`Indexed ${resource.id}: ${pages.length} pages`);
+    } catch (error) {
+      console.error(`Failed to index ${resource.pdfUrl}:`, error.message);
+    }
+  }
+
+  await writeFile(
+    path.join(outputDir, "manifest.json"),
+    JSON.stringify(manifest, null, 2)
+  );
+
+  console.log(
+    `Wrote page index for ${Object.keys(manifest.resources).length} resources`
+  );
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+// Build the prebuilt search index loaded by SearchEngine.loadIndex().
+//
+// Indexes data/resources.js exactly as the browser would and writes the
+// compact result to data/search-index.json. The file carries a version
+// derived from the indexed fields, so the site falls back to indexing in
+// the browser whenever the catalog changes and this script was not re-run.
+//
+// Usage (from the repository root, re-run whenever resources change):
+//   node scripts/build-search-index.mjs
+import { writeFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { resourcesData } from "../data/resources.js";
+import { SearchEngine } from "../utils/search.js";
+
+const rootDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  ".."
+);
+const outputFile = path.join(rootDir, "data", "search-index.json");
+
+async function main() {
+  const engine = new SearchEngine();
+  engine.indexResources(resourcesData);
+
+  const index = engine.serializeIndex();
+  await writeFile(outputFile, JSON.stringify(index));
+
+  console.log(
+    `Wrote search index ${index.version}: ${index.ids.length} resources, ${index.terms.length} terms`
+  );
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
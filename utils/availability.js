@@ -0,0 +1,111 @@
+// File Availability Utility Functions
+//
+// Most catalog entries point at PDFs that are not in pdfs/ yet. Knowing
+// which ones exist up front lets the page mark them and filter on them
+// instead of failing when someone clicks Download.
+//
+// The list comes from data/availability.json, written by
+// scripts/build-availability-manifest.mjs. Without a manifest, files are
+// checked with HEAD requests in small batches and the answers are cached
+// in storage for a few hours.
+import { storage } from "./storage.js";
+
+export class AvailabilityManager {
+  constructor() {
+    this.manifestUrl = "./data/availability.json";
+
+    // HEAD checks: how many run at once and how long answers are kept
+    this.batchSize = 6;
+    this.cacheKey = "file_availability";
+    this.cacheTtl = 6 * 60 * 60 * 1000;
+
+    // path -> true/false, for every file checked so far
+    this.files = new Map();
+  }
+
+  // Turn a PDF URL ("./pdfs/a.pdf", absolute or relative) into the path
+  // it is stored under
+  normalizeUrl(url) {
+    try {
+      return decodeURI(new URL(url, window.location.href).pathname);
+    } catch (error) {
+      return url;
+    }
+  }
+
+  // Find out which of these URLs exist, from the manifest when there is
+  // one and from (cached) HEAD requests otherwise
+  async load(urls) {
+    const paths = Array.from(
+      new Set(urls.filter((url) => url && url !== "#").map(this.normalizeUrl))
+    );
+
+    if (await this.loadManifest(paths)) return;
+
+    await this.checkFiles(paths);
+  }
+
+  // Fill the file list from the generated manifest. Returns false when
+  // there is no usable manifest.
+  async loadManifest(paths) {
+    try {
+      const response = await fetch(this.manifestUrl, { cache: "no-cache" });
+      if (!response.ok) return false;
+
+      const manifest = await response.json();
+      if (!Array.isArray(manifest.files)) return false;
+
+      const available = new Set(manifest.files.map(this.normalizeUrl));
+      paths.forEach((path) => this.files.set(path, available.has(path)));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Check files with HEAD requests, a batch at a time, reusing answers
+  // cached within the TTL
+  async checkFiles(paths) {
+    const cached = storage.get(this.cacheKey, {});
+    const unchecked = paths.filter((path) => !(path in cached));
+
+    paths
+      .filter((path) => path in cached)
+      .forEach((path) => this.files.set(path, cached[path]));
+
+    if (unchecked.length === 0) return;
+
+    for (let i = 0; i < unchecked.length; i += this.batchSize) {
+      const batch = unchecked.slice(i, i + this.batchSize);
+      const results = await Promise.all(batch.map((path) => this.head(path)));
+
+      batch.forEach((path, index) => {
+        this.files.set(path, results[index]);
+        cached[path] = results[index];
+      });
+    }
+
+    storage.set(this.cacheKey, cached, { expires: this.cacheTtl });
+  }
+
+  // Check if a single file exists
+  async head(url) {
+    try {
+      const response = await fetch(url, { method: "HEAD" });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // true or false once known, null before the file was checked
+  isAvailable(url) {
+    if (!url || url === "#") return false;
+
+    const path = this.normalizeUrl(url);
+    return this.files.has(path) ? this.files.get(path) : null;
+  }
+}
+
+// Create global instance
+export const availabilityManager = new AvailabilityManager();
@@ -1,71 +1,262 @@
 // Filter Utility Functions
+import { rangeFilter } from "./range-filter.js";
+
 export class FilterManager {
   constructor() {
+    // Filters that take several values at once (any of them matches);
+    // an empty list means "all"
+    this.multiValueFilters = [
+      "category",
+      "grade",
+      "year",
+      "subject",
+      "difficulty",
+    ];
+
+    // Personal filter chips: state -> label. "downloaded" and
+    // "not-downloaded" exclude each other; the rest combine with AND.
+    this.personalFilters = {
+      favorites: "Favorites",
+      downloaded: "Downloaded",
+      "not-downloaded": "Not downloaded yet",
+    };
+
+    // Ids behind the personal filters, from RecommendationEngine.buildProfile()
+    this.favoriteIds = new Set();
+    this.downloadedIds = new Set();
+
+    // Ids of resources whose PDF is present, from AvailabilityManager;
+    // null until known, when the "Available now" filter lets all through
+    this.availableIds = null;
+
+    // Past-paper difficulty levels, easiest first
+    this.difficultyLevels = ["Easy", "Medium", "Hard"];
+
+    // Filters that keep a { min, max } range, key -> { field, label,
+    // step, unit } (shared with SearchEngine)
+    this.rangeFilters = rangeFilter.filters;
+
     this.activeFilters = {
-      category: "all",
-      grade: "all",
-      year: "all",
-      subject: "all",
+      category: [],
+      grade: [],
+      year: [],
+      subject: [],
+      difficulty: [],
+      language: "all",
+      topic: "all",
       sortBy: "popular",
       tags: [],
+      tagMode: "all",
+      excludedTags: [],
+      personal: [],
+      available: false,
+      yearRange: null,
+      pageRange: null,
+      sizeRange: null,
+      durationRange: null,
+      questionRange: null,
     };
 
+    // Search text kept in the URL as ?q= alongside the filters
+    this.searchQuery = "";
+
+    // Set while the history entry for the current user action is open,
+    // so several changes made by one action share a single entry
+    this.historyEntryOpen = false;
+
     this.filterCallbacks = [];
+
+    // Latest counts per filter option, from SearchEngine.getFacetCounts()
+    this.facetCounts = null;
   }
 
   // Initialize filters from URL parameters
   initFromURL() {
+    this.readURL();
+    this.updateURL({ replace: true });
+    return this.activeFilters;
+  }
+
+  // Read filters and the search query from the URL without writing it
+  // back (used on start-up and on Back/Forward)
+  readURL() {
     const params = new URLSearchParams(window.location.search);
 
+    // Kept in the form the search box uses, so a shared "?q=Physics" link
+    // matches the searchTerm later passed to setSearchQuery()
+    this.searchQuery = (params.get("q") || "").toLowerCase().trim();
     this.activeFilters = {
-      category: params.get("category") || "all",
-      grade: params.get("grade") || "all",
-      year: params.get("year") || "all",
-      subject: params.get("subject") || "all",
+      category: this.toValueList(params.get("category")),
+      grade: this.toValueList(params.get("grade")),
+      year: this.toValueList(params.get("year")),
+      subject: this.toValueList(params.get("subject")),
+      difficulty: this.toValueList(params.get("difficulty")),
+      language: params.get("language") || "all",
+      topic: params.get("topic") || "all",
       sortBy: params.get("sort") || "popular",
       tags: params.get("tags") ? params.get("tags").split(",") : [],
+      tagMode: params.get("tagMode") === "any" ? "any" : "all",
+      excludedTags: this.toValueList(params.get("excludedTags")),
+      personal: this.toValueList(params.get("personal")).filter(
+        (state) => state in this.personalFilters
+      ),
+      available: params.get("available") === "1",
+      yearRange: this.parseRange(params.get("yearRange")),
+      pageRange: this.parseRange(params.get("pageRange")),
+      sizeRange: this.parseRange(params.get("sizeRange")),
+      durationRange: this.parseRange(params.get("durationRange")),
+      questionRange: this.parseRange(params.get("questionRange")),
     };
 
-    this.updateURL();
     return this.activeFilters;
   }
 
+  // Turn a filter value ("11,12", "all", ["11"], undefined) into a list
+  toValueList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    if (value === undefined || value === null) return [];
+
+    return value
+      .toString()
+      .split(",")
+      .filter((item) => item !== "" && item !== "all");
+  }
+
+  // Turn a range ("2018..2025", "..10", { min, max } or nothing) into
+  // { min, max } with open ends as null, or null when both ends are open
+  parseRange(value) {
+    if (!value) return null;
+
+    let min = null;
+    let max = null;
+
+    if (typeof value === "object") {
+      ({ min = null, max = null } = value);
+    } else {
+      const match = /^(\d*(?:\.\d+)?)\.\.(\d*(?:\.\d+)?)$/.exec(value);
+      if (!match) return null;
+
+      min = match[1] ? parseFloat(match[1]) : null;
+      max = match[2] ? parseFloat(match[2]) : null;
+    }
+
+    if (min === null && max === null) return null;
+    if (min !== null && max !== null && min > max) return null;
+
+    return { min, max };
+  }
+
+  // Format a range for the URL ("2018..2025", "..10")
+  formatRange(range) {
+    return `${range.min ?? ""}..${range.max ?? ""}`;
+  }
+
+  // Bring filters saved in the single-value format ("grade": "12") to
+  // the current one
+  normalizeFilters(filters) {
+    const normalized = { ...filters };
+
+    this.multiValueFilters.forEach((key) => {
+      if (key in filters) {
+        normalized[key] = this.toValueList(filters[key]);
+      }
+    });
+
+    Object.keys(this.rangeFilters).forEach((key) => {
+      if (key in filters) {
+        normalized[key] = this.parseRange(filters[key]);
+      }
+    });
+
+    ["tags", "excludedTags", "personal"].forEach((key) => {
+      if (key in filters && !Array.isArray(filters[key])) {
+        normalized[key] = [];
+      }
+    });
+
+    return normalized;
+  }
+
+  // Keep the favorite and downloaded ids the personal filters use
+  setUserProfile(profile) {
+    this.favoriteIds = new Set(profile ? profile.favoriteIds : []);
+    this.downloadedIds = new Set(profile ? profile.downloadedIds : []);
+  }
+
+  // Check a resource against a personal filter state
+  matchesPersonalState(resource, state) {
+    if (state === "favorites") return this.favoriteIds.has(resource.id);
+    if (state === "downloaded") return this.downloadedIds.has(resource.id);
+    if (state === "not-downloaded") return !this.downloadedIds.has(resource.id);
+    return true;
+  }
+
+  // Keep the ids the "Available now" filter uses (null = not known yet)
+  setAvailableIds(ids) {
+    this.availableIds = ids ? new Set(ids) : null;
+  }
+
   // Apply filters to resources
   applyFilters(resources, filters = null) {
-    const activeFilters = filters || this.activeFilters;
+    const activeFilters = this.normalizeFilters(filters || this.activeFilters);
     let filtered = [...resources];
 
-    // Category filter
-    if (activeFilters.category !== "all") {
-      filtered = filtered.filter(
-        (item) => item.category === activeFilters.category
+    // Category, grade, year and subject filters (any selected value)
+    this.multiValueFilters.forEach((key) => {
+      const values = this.toValueList(activeFilters[key]);
+      if (values.length > 0) {
+        filtered = filtered.filter((item) => values.includes(item[key]));
+      }
+    });
+
+    // Favorites, downloaded or not yet downloaded
+    if (activeFilters.personal && activeFilters.personal.length > 0) {
+      filtered = filtered.filter((item) =>
+        activeFilters.personal.every((state) =>
+          this.matchesPersonalState(item, state)
+        )
       );
     }
 
-    // Grade filter
-    if (activeFilters.grade !== "all") {
-      filtered = filtered.filter((item) => item.grade === activeFilters.grade);
+    // Only resources whose PDF is present
+    if (activeFilters.available && this.availableIds) {
+      filtered = filtered.filter((item) => this.availableIds.has(item.id));
     }
 
-    // Year filter
-    if (activeFilters.year !== "all") {
-      filtered = filtered.filter((item) => item.year === activeFilters.year);
-    }
+    // Year, page count and file size ranges
+    filtered = filtered.filter((item) =>
+      rangeFilter.matches(item, activeFilters)
+    );
 
-    // Subject filter
-    if (activeFilters.subject !== "all") {
+    // Language filter
+    if (activeFilters.language && activeFilters.language !== "all") {
       filtered = filtered.filter(
-        (item) => item.subject === activeFilters.subject
+        (item) => item.language === activeFilters.language
       );
     }
 
-    // Tags filter
-    if (activeFilters.tags.length > 0) {
-      filtered = filtered.filter((item) =>
-        activeFilters.tags.every((tag) => item.tags && item.tags.includes(tag))
+    // Topic filter
+    if (activeFilters.topic && activeFilters.topic !== "all") {
+      filtered = filtered.filter(
+        (item) => item.topics && item.topics.includes(activeFilters.topic)
       );
     }
 
+    // Tags filter: all (or any) of the selected tags, none of the excluded
+    const tags = activeFilters.tags || [];
+    const excludedTags = activeFilters.excludedTags || [];
+    if (tags.length > 0 || excludedTags.length > 0) {
+      const matchTag = activeFilters.tagMode === "any" ? "some" : "every";
+
+      filtered = filtered.filter((item) => {
+        const itemTags = item.tags || [];
+        return (
+          !excludedTags.some((tag) => itemTags.includes(tag)) &&
+          (tags.length === 0 || tags[matchTag]((tag) => itemTags.includes(tag)))
+        );
+      });
+    }
+
     // Apply sorting
     filtered = this.applySorting(filtered, activeFilters.sortBy);
 
@@ -114,36 +305,58 @@ export class FilterManager {
             this.parseFileSize(b.fileSize) - this.parseFileSize(a.fileSize)
         );
         break;
+
+      case "difficulty-asc":
+      case "difficulty-desc":
+        this.sortByNumber(sorted, sortBy, (resource) =>
+          resource.difficulty
+            ? this.difficultyLevels.indexOf(resource.difficulty)
+            : NaN
+        );
+        break;
+
+      case "duration-asc":
+      case "duration-desc":
+        this.sortByNumber(sorted, sortBy, (resource) =>
+          rangeFilter.parseDuration(resource.duration)
+        );
+        break;
+
+      case "questions-asc":
+      case "questions-desc":
+        this.sortByNumber(sorted, sortBy, (resource) =>
+          parseFloat(resource.questions)
+        );
+        break;
     }
 
     return sorted;
   }
 
+  // Sort in place by a number read from each resource ("-desc" sort keys
+  // go high to low); resources without one (e.g. textbooks have no
+  // difficulty) always come last
+  sortByNumber(resources, sortBy, getValue) {
+    const direction = sortBy.endsWith("-desc") ? -1 : 1;
+
+    resources.sort((a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+
+      if (isNaN(valueA) || valueA < 0) return isNaN(valueB) ? 0 : 1;
+      if (isNaN(valueB) || valueB < 0) return -1;
+      return (valueA - valueB) * direction;
+    });
+  }
+
   // Parse file size string to bytes
   parseFileSize(sizeString) {
-    if (!sizeString) return 0;
-
-    const match = sizeString.match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)$/i);
-    if (!match) return 0;
-
-    const [, number, unit] = match;
-    const num = parseFloat(number);
-
-    switch (unit.toUpperCase()) {
-      case "GB":
-        return num * 1024 * 1024 * 1024;
-      case "MB":
-        return num * 1024 * 1024;
-      case "KB":
-        return num * 1024;
-      default:
-        return num;
-    }
+    return rangeFilter.parseFileSize(sizeString);
   }
 
   // Set a filter
   setFilter(key, value) {
-    this.activeFilters[key] = value;
+    Object.assign(this.activeFilters, this.normalizeFilters({ [key]: value }));
     this.updateURL();
     this.notifyListeners();
     return this.activeFilters;
@@ -151,21 +364,78 @@ export class FilterManager {
 
   // Set multiple filters
   setFilters(filters) {
-    Object.assign(this.activeFilters, filters);
+    Object.assign(this.activeFilters, this.normalizeFilters(filters));
     this.updateURL();
     this.notifyListeners();
     return this.activeFilters;
   }
 
+  // Add or remove one value of a multi-value filter
+  toggleFilterValue(key, value) {
+    const values = this.activeFilters[key];
+    const index = values.indexOf(value);
+
+    if (index === -1) {
+      values.push(value);
+    } else {
+      values.splice(index, 1);
+    }
+
+    this.updateURL();
+    this.notifyListeners();
+  }
+
+  // Turn a personal filter chip on or off
+  togglePersonalFilter(state) {
+    const personal = this.activeFilters.personal;
+    const index = personal.indexOf(state);
+
+    if (index === -1) {
+      const opposite = {
+        downloaded: "not-downloaded",
+        "not-downloaded": "downloaded",
+      }[state];
+
+      this.activeFilters.personal = personal
+        .filter((active) => active !== opposite)
+        .concat(state);
+    } else {
+      personal.splice(index, 1);
+    }
+
+    this.updateURL();
+    this.notifyListeners();
+  }
+
+  // Turn the "Available now" filter on or off
+  toggleAvailableFilter() {
+    this.activeFilters.available = !this.activeFilters.available;
+
+    this.updateURL();
+    this.notifyListeners();
+  }
+
   // Reset all filters
   resetFilters() {
     this.activeFilters = {
-      category: "all",
-      grade: "all",
-      year: "all",
-      subject: "all",
+      category: [],
+      grade: [],
+      year: [],
+      subject: [],
+      difficulty: [],
+      language: "all",
+      topic: "all",
       sortBy: "popular",
       tags: [],
+      tagMode: "all",
+      excludedTags: [],
+      personal: [],
+      available: false,
+      yearRange: null,
+      pageRange: null,
+      sizeRange: null,
+      durationRange: null,
+      questionRange: null,
     };
 
     this.updateURL();
@@ -173,32 +443,96 @@ export class FilterManager {
     return this.activeFilters;
   }
 
-  // Get active filters
+  // Get active filters (lists are copied, so callers can keep them)
   getActiveFilters() {
-    return { ...this.activeFilters };
+    const filters = { ...this.activeFilters };
+
+    Object.keys(filters).forEach((key) => {
+      if (Array.isArray(filters[key])) {
+        filters[key] = [...filters[key]];
+      }
+    });
+
+    return filters;
+  }
+
+  // Set the search query shown in the URL. Searches typed one after the
+  // other update a single history entry instead of adding one per pause.
+  setSearchQuery(query, { typing = false } = {}) {
+    if (query === this.searchQuery) return;
+
+    this.searchQuery = query;
+    this.updateURL({
+      replace: typing && !!window.history.state?.typing,
+      typing,
+    });
   }
 
-  // Update URL with current filters
-  updateURL() {
+  // Build the URL query ("?q=...&grade=11,12", or "") for the current
+  // filters and search query
+  getQueryString() {
     const params = new URLSearchParams();
 
+    if (this.searchQuery) {
+      params.set("q", this.searchQuery);
+    }
+
     Object.entries(this.activeFilters).forEach(([key, value]) => {
-      if (value !== "all" && value !== "popular" && value !== "") {
+      if (key in this.rangeFilters) {
+        if (value) {
+          params.set(key, this.formatRange(value));
+        }
+      } else if (typeof value === "boolean") {
+        if (value) {
+          params.set(key, "1");
+        }
+      } else if (value !== "all" && value !== "popular" && value !== "") {
         if (Array.isArray(value)) {
           if (value.length > 0) {
             params.set(key, value.join(","));
           }
         } else {
-          params.set(key, value);
+          params.set(key === "sortBy" ? "sort" : key, value);
         }
       }
     });
 
-    const newURL = params.toString()
-      ? `${window.location.pathname}?${params.toString()}`
-      : window.location.pathname;
+    // Keep value lists readable (?grade=11,12 rather than 11%2C12)
+    const query = params.toString().replace(/%2C/g, ",");
+    return query ? `?${query}` : "";
+  }
+
+  // Update URL with current filters and search query. Each change adds a
+  // history entry (so Back undoes it) unless replace is set; changes made
+  // during the same task share one entry.
+  updateURL({ replace = false, typing = false } = {}) {
+    const { pathname, search, hash } = window.location;
+    const query = this.getQueryString();
 
-    window.history.replaceState({}, "", newURL);
+    if (query === search) return;
+
+    const newURL = pathname + query + hash;
+
+    if (replace || this.historyEntryOpen) {
+      window.history.replaceState(
+        { ...window.history.state, typing },
+        "",
+        newURL
+      );
+      return;
+    }
+
+    // Remember the scroll position of the entry being left
+    window.history.replaceState(
+      { ...window.history.state, scrollY: window.scrollY },
+      ""
+    );
+    window.history.pushState({ typing }, "", newURL);
+
+    this.historyEntryOpen = true;
+    setTimeout(() => {
+      this.historyEntryOpen = false;
+    }, 0);
   }
 
   // Register filter change listener
@@ -226,6 +560,9 @@ export class FilterManager {
       grades: new Set(),
       years: new Set(),
       subjects: new Set(),
+      difficulties: new Set(),
+      languages: new Set(),
+      topics: new Set(),
       tags: new Set(),
     };
 
@@ -234,18 +571,44 @@ export class FilterManager {
       if (resource.grade) options.grades.add(resource.grade);
       if (resource.year) options.years.add(resource.year);
       if (resource.subject) options.subjects.add(resource.subject);
+      if (resource.difficulty) options.difficulties.add(resource.difficulty);
+      if (resource.language) options.languages.add(resource.language);
+      if (resource.topics) {
+        resource.topics.forEach((topic) => options.topics.add(topic));
+      }
       if (resource.tags) {
         resource.tags.forEach((tag) => options.tags.add(tag));
       }
     });
 
+    // Slider bounds for each range filter, rounded out to its step
+    const ranges = {};
+    Object.entries(this.rangeFilters).forEach(([key, { step }]) => {
+      const values = resources
+        .map((resource) => rangeFilter.getValue(resource, key))
+        .filter((value) => !isNaN(value));
+      if (values.length === 0) return;
+
+      ranges[key] = {
+        min: Math.floor(Math.min(...values) / step) * step,
+        max: Math.ceil(Math.max(...values) / step) * step,
+      };
+    });
+
     // Convert Sets to sorted arrays
     return {
       categories: Array.from(options.categories).sort(),
       grades: Array.from(options.grades).sort((a, b) => a - b),
       years: Array.from(options.years).sort((a, b) => b - a),
       subjects: Array.from(options.subjects).sort(),
+      difficulties: Array.from(options.difficulties).sort(
+        (a, b) =>
+          this.difficultyLevels.indexOf(a) - this.difficultyLevels.indexOf(b)
+      ),
+      languages: Array.from(options.languages).sort(),
+      topics: Array.from(options.topics).sort(),
       tags: Array.from(options.tags).sort(),
+      ranges,
     };
   }
 
@@ -256,42 +619,80 @@ export class FilterManager {
 
     container.innerHTML = "";
 
+    // Favorites / downloaded chips
+    this.createPersonalFilter(container);
+
+    // Only resources whose PDF is present
+    this.createAvailableFilter(container);
+
     // Category filter
-    this.createSelectFilter(
+    this.createCheckboxFilter(
       container,
       "Category",
       "category",
-      ["all", ...options.categories],
+      options.categories,
       this.activeFilters.category
     );
 
     // Grade filter
-    this.createSelectFilter(
+    this.createCheckboxFilter(
       container,
       "Grade",
       "grade",
-      ["all", ...options.grades],
+      options.grades,
       this.activeFilters.grade
     );
 
     // Year filter
-    this.createSelectFilter(
+    this.createCheckboxFilter(
       container,
       "Year",
       "year",
-      ["all", ...options.years],
+      options.years,
       this.activeFilters.year
     );
 
     // Subject filter
-    this.createSelectFilter(
+    this.createCheckboxFilter(
       container,
       "Subject",
       "subject",
-      ["all", ...options.subjects],
+      options.subjects,
       this.activeFilters.subject
     );
 
+    // Past-paper difficulty filter
+    this.createCheckboxFilter(
+      container,
+      "Difficulty",
+      "difficulty",
+      options.difficulties,
+      this.activeFilters.difficulty
+    );
+
+    // Language filter
+    this.createSelectFilter(
+      container,
+      "Language",
+      "language",
+      ["all", ...options.languages],
+      this.activeFilters.language
+    );
+
+    // Topic filter
+    this.createSelectFilter(
+      container,
+      "Topic",
+      "topic",
+      ["all", ...options.topics],
+      this.activeFilters.topic
+    );
+
+    // Year, page count and file size sliders
+    Object.entries(options.ranges || {}).forEach(([key, bounds]) => {
+      this.createRangeFilter(container, key, bounds);
+    });
+
     // Sort filter
     this.createSelectFilter(
       container,
@@ -305,6 +706,12 @@ export class FilterManager {
         "name-desc",
         "size-asc",
         "size-desc",
+        "difficulty-asc",
+        "difficulty-desc",
+        "duration-asc",
+        "duration-desc",
+        "questions-asc",
+        "questions-desc",
       ],
       this.activeFilters.sortBy
     );
@@ -312,6 +719,10 @@ export class FilterManager {
     // Tags filter
     this.createTagsFilter(container, "Tags", options.tags);
 
+    if (this.facetCounts) {
+      this.updateFacetCounts(this.facetCounts);
+    }
+
     // Reset button
     const resetBtn = document.createElement("button");
     resetBtn.className = "btn btn-outline";
@@ -354,6 +765,232 @@ export class FilterManager {
     container.appendChild(wrapper);
   }
 
+  // Create the personal filter chips
+  createPersonalFilter(container) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "filter-group";
+
+    const labelEl = document.createElement("label");
+    labelEl.textContent = "My Library";
+    labelEl.id = "filter-personal-label";
+
+    const chips = document.createElement("div");
+    chips.className = "tags-container personal-filters";
+    chips.setAttribute("role", "group");
+    chips.setAttribute("aria-labelledby", labelEl.id);
+
+    Object.entries(this.personalFilters).forEach(([state, label]) => {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "tag-filter personal-filter";
+      chip.textContent = label;
+      chip.dataset.personal = state;
+
+      chip.addEventListener("click", () => {
+        this.togglePersonalFilter(state);
+
+        chips.querySelectorAll(".personal-filter").forEach((el) => {
+          const isActive = this.activeFilters.personal.includes(
+            el.dataset.personal
+          );
+          el.classList.toggle("active", isActive);
+          el.setAttribute("aria-pressed", isActive);
+        });
+      });
+
+      const isActive = this.activeFilters.personal.includes(state);
+      chip.classList.toggle("active", isActive);
+      chip.setAttribute("aria-pressed", isActive);
+
+      chips.appendChild(chip);
+    });
+
+    wrapper.appendChild(labelEl);
+    wrapper.appendChild(chips);
+    container.appendChild(wrapper);
+  }
+
+  // Create the "Available now" chip
+  createAvailableFilter(container) {
+    const wrapper = document.createElement("div");
+    wrapper.className = "filter-group";
+
+    const labelEl = document.createElement("label");
+    labelEl.textContent = "Availability";
+    labelEl.id = "filter-available-label";
+
+    const chips = document.createElement("div");
+    chips.className = "tags-container";
+    chips.setAttribute("role", "group");
+    chips.setAttribute("aria-labelledby", labelEl.id);
+
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "tag-filter available-filter";
+    chip.innerHTML = '<i class="fas fa-circle-check"></i> Available now';
+    chip.title = "Only show resources that can be downloaded today";
+
+    const updateChip = () => {
+      chip.classList.toggle("active", this.activeFilters.available);
+      chip.setAttribute("aria-pressed", this.activeFilters.available);
+    };
+
+    chip.addEventListener("click", () => {
+      this.toggleAvailableFilter();
+      updateChip();
+    });
+    updateChip();
+
+    chips.appendChild(chip);
+    wrapper.appendChild(labelEl);
+    wrapper.appendChild(chips);
+    container.appendChild(wrapper);
+  }
+
+  // Create checkbox list filter; any checked value matches
+  createCheckboxFilter(container, label, key, options, selectedValues) {
+    if (options.length === 0) return;
+
+    const wrapper = document.createElement("fieldset");
+    wrapper.className = "filter-group filter-checkboxes";
+
+    const legend = document.createElement("legend");
+    legend.textContent = label;
+
+    const list = document.createElement("div");
+    list.className = "checkbox-list";
+
+    options.forEach((option) => {
+      const optionLabel = document.createElement("label");
+      optionLabel.className = "checkbox-option";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = option;
+      checkbox.dataset.filterKey = key;
+      checkbox.checked = selectedValues.includes(option.toString());
+
+      checkbox.addEventListener("change", () => {
+        this.toggleFilterValue(key, option.toString());
+      });
+
+      const text = document.createElement("span");
+      text.className = "checkbox-label";
+      text.textContent = this.formatOptionLabel(option);
+
+      optionLabel.appendChild(checkbox);
+      optionLabel.appendChild(text);
+      list.appendChild(optionLabel);
+    });
+
+    wrapper.appendChild(legend);
+    wrapper.appendChild(list);
+    container.appendChild(wrapper);
+  }
+
+  // Create a dual-handle slider for a range filter. Dragging updates the
+  // readout; the filter is applied once a handle is released.
+  createRangeFilter(container, key, bounds) {
+    if (bounds.min === bounds.max) return;
+
+    const { label, step } = this.rangeFilters[key];
+    const range = this.activeFilters[key] || { min: null, max: null };
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "filter-group filter-range";
+
+    const labelEl = document.createElement("label");
+    labelEl.textContent = label;
+    labelEl.id = `filter-${key}-label`;
+
+    const slider = document.createElement("div");
+    slider.className = "range-slider";
+
+    const readout = document.createElement("span");
+    readout.className = "range-readout";
+    readout.setAttribute("aria-live", "polite");
+
+    const createHandle = (end, value) => {
+      const input = document.createElement("input");
+      input.type = "range";
+      input.className = `range-${end}`;
+      input.min = bounds.min;
+      input.max = bounds.max;
+      input.step = step;
+      input.value = value;
+      input.dataset.filterKey = key;
+      input.setAttribute(
+        "aria-label",
+        `${end === "min" ? "Minimum" : "Maximum"} ${label.toLowerCase()}`
+      );
+      slider.appendChild(input);
+      return input;
+    };
+
+    const minInput = createHandle("min", range.min ?? bounds.min);
+    const maxInput = createHandle("max", range.max ?? bounds.max);
+
+    // Read the handles as a range, open at the ends of the slider
+    const readRange = () => ({
+      min:
+        parseFloat(minInput.value) > bounds.min
+          ? parseFloat(minInput.value)
+          : null,
+      max:
+        parseFloat(maxInput.value) < bounds.max
+          ? parseFloat(maxInput.value)
+          : null,
+    });
+
+    const update = (moved) => {
+      // Handles can't cross
+      if (parseFloat(minInput.value) > parseFloat(maxInput.value)) {
+        if (moved === minInput) {
+          minInput.value = maxInput.value;
+        } else {
+          maxInput.value = minInput.value;
+        }
+      }
+
+      const span = bounds.max - bounds.min;
+      slider.style.setProperty(
+        "--range-start",
+        `${((minInput.value - bounds.min) / span) * 100}%`
+      );
+      slider.style.setProperty(
+        "--range-end",
+        `${((maxInput.value - bounds.min) / span) * 100}%`
+      );
+      readout.textContent = this.formatRangeLabel(key, readRange());
+    };
+
+    [minInput, maxInput].forEach((input) => {
+      input.addEventListener("input", () => update(input));
+      input.addEventListener("change", () => {
+        update(input);
+        this.setFilter(key, readRange());
+      });
+    });
+
+    update(null);
+
+    labelEl.appendChild(readout);
+    wrapper.appendChild(labelEl);
+    wrapper.appendChild(slider);
+    container.appendChild(wrapper);
+  }
+
+  // Describe a range for people ("2018 – 2025", "Up to 10 MB", "Any")
+  formatRangeLabel(key, range) {
+    const { unit } = this.rangeFilters[key];
+
+    if (!range || (range.min === null && range.max === null)) return "Any";
+    if (range.min === null) return `Up to ${range.max}${unit}`;
+    if (range.max === null) return `${range.min}${unit} or more`;
+    if (range.min === range.max) return `${range.min}${unit}`;
+    return `${range.min} – ${range.max}${unit}`;
+  }
+
   // Create tags filter
   createTagsFilter(container, label, tags) {
     if (tags.length === 0) return;
@@ -367,29 +1004,130 @@ export class FilterManager {
     const tagsContainer = document.createElement("div");
     tagsContainer.className = "tags-container";
 
+    // Match all / any of the selected tags
+    const modeToggle = document.createElement("div");
+    modeToggle.className = "tag-mode";
+    modeToggle.setAttribute("role", "radiogroup");
+    modeToggle.setAttribute("aria-label", "Tag matching");
+
+    const updateModeToggle = () => {
+      modeToggle.querySelectorAll(".tag-mode-option").forEach((option) => {
+        const isChecked = option.dataset.tagMode === this.activeFilters.tagMode;
+        option.classList.toggle("active", isChecked);
+        option.setAttribute("aria-checked", isChecked);
+      });
+    };
+
+    [
+      ["all", "Match all"],
+      ["any", "Match any"],
+    ].forEach(([mode, text]) => {
+      const option = document.createElement("button");
+      option.type = "button";
+      option.className = "tag-mode-option";
+      option.textContent = text;
+      option.dataset.tagMode = mode;
+      option.setAttribute("role", "radio");
+
+      option.addEventListener("click", () => {
+        if (this.activeFilters.tagMode === mode) return;
+
+        this.setFilter("tagMode", mode);
+        updateModeToggle();
+      });
+
+      modeToggle.appendChild(option);
+    });
+    updateModeToggle();
+
+    const hint = document.createElement("small");
+    hint.className = "tag-hint";
+    hint.textContent = "Click a tag to include it, again to exclude it.";
+
     tags.forEach((tag) => {
       const tagEl = document.createElement("button");
       tagEl.className = "tag-filter";
       tagEl.textContent = tag;
       tagEl.dataset.tag = tag;
-
-      if (this.activeFilters.tags.includes(tag)) {
-        tagEl.classList.add("active");
-      }
+      this.updateTagChip(tagEl);
 
       tagEl.addEventListener("click", () => {
-        this.toggleTag(tag);
-        tagEl.classList.toggle("active");
+        this.cycleTag(tag);
+        this.updateTagChip(tagEl);
       });
 
       tagsContainer.appendChild(tagEl);
     });
 
     wrapper.appendChild(labelEl);
+    wrapper.appendChild(modeToggle);
     wrapper.appendChild(tagsContainer);
+    wrapper.appendChild(hint);
     container.appendChild(wrapper);
   }
 
+  // Show whether a tag chip is included, excluded or not used
+  updateTagChip(tagEl) {
+    const tag = tagEl.dataset.tag;
+    const isIncluded = this.activeFilters.tags.includes(tag);
+    const isExcluded = this.activeFilters.excludedTags.includes(tag);
+
+    let state = "not used";
+    if (isIncluded) state = "included";
+    if (isExcluded) state = "excluded";
+
+    tagEl.classList.toggle("active", isIncluded);
+    tagEl.classList.toggle("excluded", isExcluded);
+    tagEl.setAttribute("aria-label", `${tag}: ${state}`);
+  }
+
+  // Show how many results each filter option would give, and disable
+  // options that would give none (unless already selected)
+  updateFacetCounts(facets) {
+    this.facetCounts = facets;
+    if (!facets) return;
+
+    document.querySelectorAll(".filter-select").forEach((select) => {
+      const counts = facets[select.dataset.filterKey];
+      if (!counts) return;
+
+      Array.from(select.options).forEach((optionEl) => {
+        if (optionEl.value === "all") return;
+
+        const count = counts[optionEl.value] || 0;
+        optionEl.textContent = `${this.formatOptionLabel(
+          optionEl.value
+        )} (${count})`;
+        optionEl.disabled = count === 0 && !optionEl.selected;
+      });
+    });
+
+    document
+      .querySelectorAll(".filter-checkboxes input[type='checkbox']")
+      .forEach((checkbox) => {
+        const count = (facets[checkbox.dataset.filterKey] || {})[
+          checkbox.value
+        ];
+        const text = checkbox.parentNode.querySelector(".checkbox-label");
+
+        text.textContent = `${this.formatOptionLabel(checkbox.value)} (${
+          count || 0
+        })`;
+        checkbox.disabled = !count && !checkbox.checked;
+        checkbox.parentNode.classList.toggle("disabled", checkbox.disabled);
+      });
+
+    document.querySelectorAll(".tag-filter[data-tag]").forEach((tagEl) => {
+      const count = (facets.tags || {})[tagEl.dataset.tag] || 0;
+      const isActive =
+        this.activeFilters.tags.includes(tagEl.dataset.tag) ||
+        this.activeFilters.excludedTags.includes(tagEl.dataset.tag);
+
+      tagEl.textContent = `${tagEl.dataset.tag} (${count})`;
+      tagEl.disabled = count === 0 && !isActive;
+    });
+  }
+
   // Toggle tag in filter
   toggleTag(tag) {
     const index = this.activeFilters.tags.indexOf(tag);
@@ -404,6 +1142,23 @@ export class FilterManager {
     this.notifyListeners();
   }
 
+  // Cycle a tag through included -> excluded -> not used
+  cycleTag(tag) {
+    const { tags, excludedTags } = this.activeFilters;
+
+    if (tags.includes(tag)) {
+      tags.splice(tags.indexOf(tag), 1);
+      excludedTags.push(tag);
+    } else if (excludedTags.includes(tag)) {
+      excludedTags.splice(excludedTags.indexOf(tag), 1);
+    } else {
+      tags.push(tag);
+    }
+
+    this.updateURL();
+    this.notifyListeners();
+  }
+
   // Format option label
   formatOptionLabel(option) {
     if (option === "all") return "All";
@@ -414,6 +1169,12 @@ export class FilterManager {
     if (option === "name-desc") return "Name (Z-A)";
     if (option === "size-asc") return "Size (Smallest)";
     if (option === "size-desc") return "Size (Largest)";
+    if (option === "difficulty-asc") return "Difficulty (Easiest)";
+    if (option === "difficulty-desc") return "Difficulty (Hardest)";
+    if (option === "duration-asc") return "Duration (Shortest)";
+    if (option === "duration-desc") return "Duration (Longest)";
+    if (option === "questions-asc") return "Questions (Fewest)";
+    if (option === "questions-desc") return "Questions (Most)";
     return option.toString();
   }
 }
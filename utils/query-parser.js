@@ -0,0 +1,216 @@
+// Search Query Parser Utility Functions
+//
+// Turns text typed into the search box into criteria for
+// SearchEngine.advancedSearch(). Supported syntax:
+//
+//   physics past paper        free-text keywords (all must match)
+//   "hess's law"              exact phrase
+//   subject:physics           field filter (subject, grade, year, tag, topic,
+//                             category, language)
+//   year:2019..2024           inclusive range (year and grade; either end optional)
+//   -aptitude                 exclude a keyword, phrase or field value
+export class QueryParser {
+  constructor() {
+    // Field names accepted in the query -> criteria key
+    this.fields = {
+      subject: "subject",
+      grade: "grade",
+      year: "year",
+      tag: "tags",
+      tags: "tags",
+      topic: "topics",
+      topics: "topics",
+      category: "category",
+      type: "category",
+      language: "language",
+      lang: "language",
+    };
+
+    // Criteria keys that accept a "min..max" range
+    this.rangeFields = ["grade", "year"];
+  }
+
+  // Create criteria with nothing selected
+  createEmptyCriteria() {
+    return {
+      keywords: "",
+      phrases: [],
+      tags: [],
+      topics: [],
+      ranges: {},
+      exclude: {
+        keywords: [],
+        phrases: [],
+        subject: [],
+        grade: [],
+        year: [],
+        category: [],
+        language: [],
+        tags: [],
+        topics: [],
+      },
+    };
+  }
+
+  // Parse query text into { criteria, errors }.
+  // Errors are { message, position } and never stop the rest of the query
+  // from being parsed.
+  parse(text) {
+    const criteria = this.createEmptyCriteria();
+    const errors = [];
+    const keywords = [];
+    const query = (text || "").toString();
+    let i = 0;
+
+    while (i < query.length) {
+      if (/\s/.test(query[i])) {
+        i++;
+        continue;
+      }
+
+      const position = i;
+
+      // Negation
+      let negated = false;
+      if (
+        query[i] === "-" &&
+        i + 1 < query.length &&
+        !/\s/.test(query[i + 1])
+      ) {
+        negated = true;
+        i++;
+      }
+
+      // Field prefix
+      let field = null;
+      const fieldMatch = /^([a-z]+):/i.exec(query.slice(i));
+      if (fieldMatch) {
+        field = fieldMatch[1].toLowerCase();
+        i += fieldMatch[0].length;
+      }
+
+      // Quoted or bare value
+      let value;
+      let quoted = false;
+      if (query[i] === '"') {
+        quoted = true;
+        const close = query.indexOf('"', i + 1);
+
+        if (close === -1) {
+          errors.push({ message: "Missing closing quote", position: i });
+          value = query.slice(i + 1);
+          i = query.length;
+        } else {
+          value = query.slice(i + 1, close);
+          i = close + 1;
+        }
+      } else {
+        value = /^\S*/.exec(query.slice(i))[0];
+        i += value.length;
+      }
+
+      value = value.trim();
+
+      if (field) {
+        this.applyField(criteria, errors, { field, value, negated, position });
+      } else if (!value) {
+        continue;
+      } else if (quoted) {
+        (negated ? criteria.exclude.phrases : criteria.phrases).push(
+          value.toLowerCase()
+        );
+      } else if (negated) {
+        criteria.exclude.keywords.push(value.toLowerCase());
+      } else {
+        keywords.push(value);
+      }
+    }
+
+    criteria.keywords = keywords.join(" ");
+
+    return { criteria, errors };
+  }
+
+  // Apply a "field:value" clause to criteria
+  applyField(criteria, errors, { field, value, negated, position }) {
+    const key = this.fields[field];
+
+    if (!key) {
+      errors.push({
+        message: `Unknown field "${field}". Try ${this.getFieldNames().join(
+          ", "
+        )}.`,
+        position,
+      });
+      return;
+    }
+
+    if (!value) {
+      errors.push({ message: `Missing value after "${field}:"`, position });
+      return;
+    }
+
+    if (value.includes("..")) {
+      if (!this.rangeFields.includes(key)) {
+        errors.push({
+          message: `"${field}" does not support ranges`,
+          position,
+        });
+        return;
+      }
+
+      if (negated) {
+        errors.push({ message: "Ranges can't be excluded", position });
+        return;
+      }
+
+      const range = this.parseRange(value);
+      if (!range) {
+        errors.push({
+          message: `Invalid range "${value}". Use e.g. ${field}:2019..2024`,
+          position,
+        });
+        return;
+      }
+
+      criteria.ranges[key] = range;
+      return;
+    }
+
+    if (this.rangeFields.includes(key) && !/^\d+$/.test(value)) {
+      errors.push({
+        message: `"${field}" must be a number, got "${value}"`,
+        position,
+      });
+      return;
+    }
+
+    if (negated) {
+      criteria.exclude[key].push(value.toLowerCase());
+    } else if (key === "tags" || key === "topics") {
+      criteria[key].push(value.toLowerCase());
+    } else {
+      criteria[key] = value.toLowerCase();
+    }
+  }
+
+  // Parse "min..max" (either side optional) into { min, max }
+  parseRange(value) {
+    const match = /^(\d*)\.\.(\d*)$/.exec(value);
+    if (!match || (!match[1] && !match[2])) return null;
+
+    const min = match[1] ? parseInt(match[1], 10) : -Infinity;
+    const max = match[2] ? parseInt(match[2], 10) : Infinity;
+    if (min > max) return null;
+
+    return { min, max };
+  }
+
+  // Get the distinct field names users can type
+  getFieldNames() {
+    return ["subject", "grade", "year", "tag", "topic", "category", "language"];
+  }
+}
+
+// Create global instance
+export const queryParser = new QueryParser();
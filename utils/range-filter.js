@@ -0,0 +1,111 @@
+// Range Filter Utility Functions
+// Range filter definitions and matching, shared by FilterManager and
+// SearchEngine. SearchEngine also runs in the search worker, so nothing
+// here may touch the DOM, the URL or storage.
+export class RangeFilter {
+  constructor() {
+    // Filters that keep a { min, max } range (either end null = open);
+    // field is the resource field compared, file sizes are in MB
+    this.filters = {
+      yearRange: { field: "year", label: "Years", step: 1, unit: "" },
+      pageRange: { field: "pages", label: "Pages", step: 10, unit: " pages" },
+      sizeRange: {
+        field: "fileSize",
+        label: "File Size",
+        step: 0.5,
+        unit: " MB",
+      },
+      durationRange: {
+        field: "duration",
+        label: "Duration",
+        step: 30,
+        unit: " min",
+      },
+      questionRange: {
+        field: "questions",
+        label: "Questions",
+        step: 5,
+        unit: " questions",
+      },
+    };
+  }
+
+  // Read the number a range filter compares: year, page count, file size
+  // in MB, duration in minutes or question count
+  getValue(resource, key) {
+    const { field } = this.filters[key];
+
+    if (field === "fileSize") {
+      return resource.fileSize
+        ? this.parseFileSize(resource.fileSize) / (1024 * 1024)
+        : NaN;
+    }
+
+    if (field === "duration") {
+      return this.parseDuration(resource.duration);
+    }
+
+    return parseFloat(resource[field]);
+  }
+
+  // Check a value against a range (unknown values match no range)
+  isInRange(value, range) {
+    if (isNaN(value)) return false;
+
+    return (
+      (range.min === null || value >= range.min) &&
+      (range.max === null || value <= range.max)
+    );
+  }
+
+  // Check a resource against every range set in filters (keys without a
+  // range match anything)
+  matches(resource, filters) {
+    return Object.keys(this.filters).every(
+      (key) =>
+        !filters[key] ||
+        this.isInRange(this.getValue(resource, key), filters[key])
+    );
+  }
+
+  // Parse a duration ("3 hours", "2.5 hours", "90 minutes", "1h 30m") to
+  // minutes; NaN when there is none
+  parseDuration(durationString) {
+    if (!durationString) return NaN;
+
+    const pattern = /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/gi;
+    let minutes = NaN;
+
+    for (const [, number, unit] of durationString.matchAll(pattern)) {
+      const scale = unit[0].toLowerCase() === "h" ? 60 : 1;
+      minutes = (isNaN(minutes) ? 0 : minutes) + parseFloat(number) * scale;
+    }
+
+    return minutes;
+  }
+
+  // Parse file size string to bytes
+  parseFileSize(sizeString) {
+    if (!sizeString) return 0;
+
+    const match = sizeString.match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)$/i);
+    if (!match) return 0;
+
+    const [, number, unit] = match;
+    const num = parseFloat(number);
+
+    switch (unit.toUpperCase()) {
+      case "GB":
+        return num * 1024 * 1024 * 1024;
+      case "MB":
+        return num * 1024 * 1024;
+      case "KB":
+        return num * 1024;
+      default:
+        return num;
+    }
+  }
+}
+
+// Create global instance
+export const rangeFilter = new RangeFilter();
@@ -0,0 +1,119 @@
+// Recommendation Utility Functions
+// Builds an on-device interest profile from download history and
+// favorites. Nothing leaves the browser: the profile is only used to rank
+// search results (SearchEngine.setUserProfile) and pick recommendations.
+export class RecommendationEngine {
+  constructor() {
+    // How much a single interaction counts towards a subject or grade
+    this.interactionWeights = {
+      download: 1,
+      favorite: 2,
+    };
+
+    // Older downloads count less: weight *= decay ^ position in history
+    this.historyDecay = 0.95;
+  }
+
+  // Build { subjects, grades, downloadedIds, favoriteIds } from download
+  // history (newest first) and favorite ids. Subject and grade affinities
+  // are scaled to 0..1, the favourite subject or grade scoring 1.
+  buildProfile(resources, downloadHistory = [], favoriteIds = []) {
+    const resourcesById = new Map(resources.map((r) => [r.id, r]));
+    const subjects = {};
+    const grades = {};
+    const downloadedIds = new Set();
+    const favorites = [];
+
+    const addInteraction = (resource, weight) => {
+      if (resource.subject) {
+        subjects[resource.subject] = (subjects[resource.subject] || 0) + weight;
+      }
+      if (resource.grade) {
+        grades[resource.grade] = (grades[resource.grade] || 0) + weight;
+      }
+    };
+
+    downloadHistory.forEach((entry, index) => {
+      const resource = resourcesById.get(entry.id);
+      if (!resource) return;
+
+      downloadedIds.add(resource.id);
+      addInteraction(
+        resource,
+        this.interactionWeights.download * Math.pow(this.historyDecay, index)
+      );
+    });
+
+    favoriteIds.forEach((id) => {
+      const resource = resourcesById.get(id);
+      if (resource) {
+        favorites.push(resource.id);
+        addInteraction(resource, this.interactionWeights.favorite);
+      }
+    });
+
+    return {
+      subjects: this.normalize(subjects),
+      grades: this.normalize(grades),
+      downloadedIds: Array.from(downloadedIds),
+      favoriteIds: favorites,
+    };
+  }
+
+  // Scale the values of an object so the largest is 1
+  normalize(counts) {
+    const max = Math.max(0, ...Object.values(counts));
+    const normalized = {};
+
+    Object.entries(counts).forEach(([key, count]) => {
+      normalized[key] = max > 0 ? count / max : 0;
+    });
+
+    return normalized;
+  }
+
+  // Check if a profile has anything to go on
+  hasInterests(profile) {
+    return (
+      !!profile &&
+      (Object.keys(profile.subjects).length > 0 ||
+        Object.keys(profile.grades).length > 0)
+    );
+  }
+
+  // How well a resource fits the profile (0-1), subject counting most
+  getAffinity(resource, profile) {
+    if (!profile) return 0;
+
+    return (
+      0.6 * (profile.subjects[resource.subject] || 0) +
+      0.4 * (profile.grades[resource.grade] || 0)
+    );
+  }
+
+  // Pick resources the user hasn't downloaded or favorited yet that match
+  // their interests, most relevant (then most downloaded) first
+  getRecommendations(resources, profile, { limit = 4, excludeIds = [] } = {}) {
+    if (!this.hasInterests(profile)) return [];
+
+    const excluded = new Set([...profile.downloadedIds, ...excludeIds]);
+
+    return resources
+      .filter((resource) => !excluded.has(resource.id))
+      .map((resource) => ({
+        resource,
+        affinity: this.getAffinity(resource, profile),
+      }))
+      .filter(({ affinity }) => affinity > 0)
+      .sort(
+        (a, b) =>
+          b.affinity - a.affinity ||
+          (b.resource.downloads || 0) - (a.resource.downloads || 0)
+      )
+      .slice(0, limit)
+      .map(({ resource }) => resource);
+  }
+}
+
+// Create global instance
+export const recommendationEngine = new RecommendationEngine();
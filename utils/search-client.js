@@ -0,0 +1,251 @@
+// Search Client Utility Functions
+// Promise-based front for SearchEngine. Indexing and queries run in a Web
+// Worker (utils/search-worker.js) so typing and scrolling stay smooth; when
+// workers are unavailable the in-page searchEngine answers instead.
+//
+// Requests made on a channel ("search", "autocomplete", ...) supersede the
+// previous request on that channel, which rejects with an AbortError.
+import { searchEngine } from "./search.js";
+
+export class SearchClient {
+  constructor() {
+    this.worker = null;
+    this.nextId = 0;
+
+    // Request id -> { method, args, channel, resolve, reject }
+    this.pending = new Map();
+
+    // Channel -> id of its latest request
+    this.latestByChannel = new Map();
+
+    // Calls that change engine state, replayed on the in-page engine if
+    // the worker fails after start-up
+    this.stateMethods = [
+      "setAliases",
+      "setSynonyms",
+      "setPreferredGrade",
+      "setRankingWeights",
+      "setUserProfile",
+      "setAvailableIds",
+      "setPageIndexUrl",
+      "indexResources",
+      "loadIndex",
+    ];
+    this.stateCalls = [];
+
+    // Settles once every in-page state change has been applied
+    this.ready = Promise.resolve();
+
+    this.startWorker();
+  }
+
+  // Start the search worker if the browser supports module workers
+  startWorker() {
+    if (typeof Worker === "undefined") return;
+
+    try {
+      this.worker = new Worker(new URL("./search-worker.js", import.meta.url), {
+        type: "module",
+      });
+    } catch (error) {
+      console.warn("Search worker unavailable, searching in page:", error);
+      this.worker = null;
+      return;
+    }
+
+    this.worker.addEventListener("message", (event) => {
+      this.handleMessage(event.data);
+    });
+
+    this.worker.addEventListener("error", (event) => {
+      console.warn("Search worker failed, searching in page:", event.message);
+      this.fallBack();
+    });
+
+    // The page index lives next to the page, not next to the worker script
+    this.setPageIndexUrl(
+      new URL(searchEngine.pageIndexUrl, document.baseURI).href
+    );
+  }
+
+  // Check if queries run in a worker
+  isUsingWorker() {
+    return this.worker !== null;
+  }
+
+  // Send a request to the engine. Returns a promise for its result.
+  request(method, args = [], channel = null) {
+    const id = ++this.nextId;
+
+    if (this.stateMethods.includes(method)) {
+      this.stateCalls.push({ method, args });
+    }
+
+    if (channel) {
+      this.cancel(channel);
+      this.latestByChannel.set(channel, id);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { method, args, channel, resolve, reject });
+
+      if (this.worker) {
+        this.worker.postMessage({ id, method, args, channel });
+      } else {
+        this.runInPage(id);
+      }
+    });
+  }
+
+  // Answer a request with the in-page engine
+  runInPage(id) {
+    // Yield first, so a newer keystroke can supersede this request
+    setTimeout(() => {
+      const request = this.pending.get(id);
+      if (!request) return;
+
+      const task = this.ready.then(() =>
+        searchEngine[request.method](...request.args)
+      );
+      if (this.stateMethods.includes(request.method)) {
+        this.ready = task.catch(() => {});
+      }
+
+      task.then(
+        (result) => this.settle(id, { result }),
+        (error) => this.settle(id, { error })
+      );
+    }, 0);
+  }
+
+  // Handle a reply from the worker
+  handleMessage(data) {
+    this.settle(data.id, data);
+  }
+
+  // Resolve or reject a pending request
+  settle(id, { result, error, cancelled }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (this.latestByChannel.get(request.channel) === id) {
+      this.latestByChannel.delete(request.channel);
+    }
+
+    if (cancelled) {
+      request.reject(this.createAbortError());
+    } else if (error) {
+      request.reject(error instanceof Error ? error : new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  // Cancel the pending request on a channel
+  cancel(channel) {
+    const id = this.latestByChannel.get(channel);
+    if (id !== undefined) {
+      this.settle(id, { cancelled: true });
+    }
+  }
+
+  // Stop using the worker: rebuild its state in page and re-run what it
+  // had not answered yet
+  fallBack() {
+    if (!this.worker) return;
+
+    this.worker.terminate();
+    this.worker = null;
+
+    this.ready = this.stateCalls.reduce(
+      (previous, { method, args }) =>
+        previous.then(() => searchEngine[method](...args)).catch(() => {}),
+      Promise.resolve()
+    );
+
+    this.pending.forEach((request, id) => {
+      if (this.stateMethods.includes(request.method)) {
+        this.ready.then(() => this.settle(id, { result: undefined }));
+      } else {
+        this.runInPage(id);
+      }
+    });
+  }
+
+  // Create the error superseded requests reject with
+  createAbortError() {
+    return new DOMException("Search request superseded", "AbortError");
+  }
+
+  // Engine configuration
+  setAliases(aliases) {
+    return this.request("setAliases", [aliases]);
+  }
+
+  setSynonyms(synonyms) {
+    return this.request("setSynonyms", [synonyms]);
+  }
+
+  setPreferredGrade(grade) {
+    return this.request("setPreferredGrade", [grade]);
+  }
+
+  setRankingWeights(weights) {
+    return this.request("setRankingWeights", [weights]);
+  }
+
+  setUserProfile(profile) {
+    return this.request("setUserProfile", [profile]);
+  }
+
+  setAvailableIds(ids) {
+    return this.request("setAvailableIds", [ids]);
+  }
+
+  setPageIndexUrl(url) {
+    return this.request("setPageIndexUrl", [url]);
+  }
+
+  // Build the search index
+  indexResources(resources) {
+    return this.request("indexResources", [resources]);
+  }
+
+  // Load the prebuilt search index, indexing live if it is out of date
+  loadIndex(resources) {
+    const url = this.worker
+      ? new URL(searchEngine.searchIndexUrl, document.baseURI).href
+      : searchEngine.searchIndexUrl;
+
+    return this.request("loadIndex", [resources, url]);
+  }
+
+  // Queries
+  search(query, options = {}, channel = "search") {
+    return this.request("search", [query, options], channel);
+  }
+
+  advancedSearch(criteria, options = {}, channel = "search") {
+    return this.request("advancedSearch", [criteria, options], channel);
+  }
+
+  searchWithFacets(criteria, options = {}, channel = "search") {
+    return this.request("searchWithFacets", [criteria, options], channel);
+  }
+
+  getSuggestions(query, limit = 5, channel = "suggestions") {
+    return this.request("getSuggestions", [query, limit], channel);
+  }
+
+  getSpellingSuggestion(query, channel = "spelling") {
+    return this.request("getSpellingSuggestion", [query], channel);
+  }
+
+  searchPages(query, options = {}, channel = "pages") {
+    return this.request("searchPages", [query, options], channel);
+  }
+}
+
+// Create global instance
+export const searchClient = new SearchClient();
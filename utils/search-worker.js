@@ -0,0 +1,91 @@
+// Search Worker
+// Runs a SearchEngine off the main thread for SearchClient. Requests are
+// { id, method, args, channel } and answered with { id, result },
+// { id, error } or { id, cancelled: true }.
+import { SearchEngine } from "./search.js";
+
+const engine = new SearchEngine();
+
+// Engine methods the main thread may call
+const methods = new Set([
+  "setAliases",
+  "setSynonyms",
+  "setPreferredGrade",
+  "setRankingWeights",
+  "setUserProfile",
+  "setAvailableIds",
+  "setPageIndexUrl",
+  "indexResources",
+  "loadIndex",
+  "search",
+  "advancedSearch",
+  "searchWithFacets",
+  "getSuggestions",
+  "getSpellingSuggestion",
+  "searchPages",
+]);
+
+// Methods that change the index; later requests wait for them to finish
+const stateMethods = new Set([
+  "setAliases",
+  "setSynonyms",
+  "setPreferredGrade",
+  "setRankingWeights",
+  "setUserProfile",
+  "setAvailableIds",
+  "setPageIndexUrl",
+  "indexResources",
+  "loadIndex",
+]);
+
+// Requests waiting to run, in arrival order
+const queue = [];
+let isScheduled = false;
+
+// Settles once every state change sent so far has been applied
+let ready = Promise.resolve();
+
+self.addEventListener("message", (event) => {
+  queue.push(event.data);
+  scheduleNext();
+});
+
+// Run the next request on a later task, so messages that arrived while
+// the previous one was running are queued before we pick what to run
+function scheduleNext() {
+  if (isScheduled || queue.length === 0) return;
+
+  isScheduled = true;
+  setTimeout(() => {
+    isScheduled = false;
+    runNext();
+    scheduleNext();
+  }, 0);
+}
+
+// Run the oldest request, dropping it if a newer one on the same channel
+// is already waiting (the user kept typing)
+function runNext() {
+  const request = queue.shift();
+  const { id, method, args = [], channel } = request;
+
+  if (channel && queue.some((next) => next.channel === channel)) {
+    self.postMessage({ id, cancelled: true });
+    return;
+  }
+
+  if (!methods.has(method)) {
+    self.postMessage({ id, error: `Unknown search method "${method}"` });
+    return;
+  }
+
+  const task = ready.then(() => engine[method](...args));
+  if (stateMethods.has(method)) {
+    ready = task.catch(() => {});
+  }
+
+  task.then(
+    (result) => self.postMessage({ id, result }),
+    (error) => self.postMessage({ id, error: error.message })
+  );
+}
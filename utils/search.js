@@ -1,4 +1,8 @@
 // Search Utility Functions
+import { tokenizer } from "./tokenizer.js";
+import { recommendationEngine } from "./recommendations.js";
+import { rangeFilter } from "./range-filter.js";
+
 export class SearchEngine {
   constructor() {
     this.searchIndex = [];
@@ -6,30 +10,463 @@ export class SearchEngine {
     this.searchOptions = {
       threshold: 0.3,
       distance: 100,
-      keys: ["title", "description", "subject", "tags", "grade", "year"],
+      keys: [
+        "title",
+        "description",
+        "subject",
+        "tags",
+        "topics",
+        "language",
+        "grade",
+        "year",
+      ],
+    };
+
+    // Relevance weight of a hit in each searchable field
+    this.fieldWeights = {
+      title: 100,
+      subject: 50,
+      description: 30,
+      tags: 20,
+      topics: 25,
+      language: 10,
+      grade: 10,
+      year: 10,
+    };
+
+    // Typo matches score at most this fraction of an exact hit
+    this.fuzzyPenalty = 0.5;
+
+    // Partial-word matches ("chem" -> "chemistry") score this fraction
+    this.prefixPenalty = 0.75;
+
+    // How much each signal boosts text relevance. Signals are normalized to
+    // 0..1, so a resource can score up to (1 + sum of weights) times its
+    // text score. Set a weight to 0 to turn that signal off.
+    this.rankingWeights = {
+      popularity: 0.3, // downloads, log-scaled against the most downloaded
+      recency: 0.2, // exam/edition year, newest resource scores 1
+      grade: 0.25, // resource is for the user's preferred grade
+      personal: 0.3, // subject/grade of what the user downloads and favorites
+      downloaded: 0.25, // already downloaded by the user (demotes)
     };
+
+    // Grade the user studies in, used by the grade ranking signal
+    this.preferredGrade = null;
+
+    // On-device interest profile from RecommendationEngine.buildProfile()
+    this.userProfile = null;
+    this.downloadedIds = new Set();
+    this.favoriteIds = new Set();
+
+    // Ids of resources whose PDF is present (null = not known yet)
+    this.availableIds = null;
+
+    // term -> Map(resource id -> { field: offset of first occurrence })
+    this.invertedIndex = new Map();
+
+    // Sorted list of indexed terms, used for prefix and typo expansion
+    this.vocabulary = [];
+
+    // Constant-time lookups from id back to index item / full resource
+    this.itemsById = new Map();
+    this.resourcesById = new Map();
+
+    // Alias tables by source: multilingual names and synonyms/abbreviations
+    this.aliasTables = { languages: {}, synonyms: {} };
+
+    // First word of an alias -> [{ words, terms }], longest alias first
+    this.aliases = new Map();
+
+    // Every word used in an alias, never "corrected" by the spell checker
+    this.aliasWords = new Set();
+
+    // Catalog words for "Did you mean" suggestions:
+    // lowercase word -> { display: word as written, count }
+    this.spellingWords = new Map();
+    this.spellingOptions = {
+      minWordLength: 3, // shorter words are never corrected
+      maxEdits: 2, // words of 4 letters or less allow a single edit
+      autoApplyConfidence: 0.8, // apply the correction without asking
+    };
+
+    // Filter key -> resource field counted for facets
+    this.facetFields = {
+      category: "category",
+      grade: "grade",
+      year: "year",
+      subject: "subject",
+      difficulty: "difficulty",
+      language: "language",
+      topic: "topics",
+      tags: "tags",
+    };
+
+    // Full-text page index built by scripts/build-page-index.mjs, fetched
+    // lazily on the first page search
+    this.pageIndexUrl = "./data/page-index/manifest.json";
+    this.pageIndexManifest = null;
+    this.pageIndexes = new Map();
+
+    // Prebuilt index written by scripts/build-search-index.mjs. Bump the
+    // format version whenever indexing or tokenizing changes, so stale
+    // index files are ignored.
+    this.searchIndexUrl = "./data/search-index.json";
+    this.indexFormatVersion = 1;
+  }
+
+  // Register aliases for catalog terms, e.g. Amharic and Afaan Oromo
+  // subject names: { mathematics: { am: ["ሂሳብ"], om: ["herregaa"] } }.
+  // Ethiopic aliases are also registered in their Latin transliteration.
+  setAliases(aliases = {}) {
+    this.aliasTables.languages = aliases;
+    this.buildAliases();
+  }
+
+  // Register synonyms and abbreviations for catalog terms:
+  // { mathematics: ["math", "maths"], euee: ["national exam"] }
+  setSynonyms(synonyms = {}) {
+    this.aliasTables.synonyms = synonyms;
+    this.buildAliases();
+  }
+
+  // Rebuild the alias lookup from every alias table
+  buildAliases() {
+    this.aliases = new Map();
+    this.aliasWords = new Set();
+
+    Object.values(this.aliasTables).forEach((table) => {
+      Object.entries(table).forEach(([term, forms]) => {
+        const terms = tokenizer.tokenize(term);
+
+        // Forms are a list, or lists grouped by language
+        (Array.isArray(forms) ? forms : Object.values(forms).flat()).forEach(
+          (alias) => {
+            this.addAlias(alias, terms);
+            if (tokenizer.isEthiopic(alias)) {
+              this.addAlias(tokenizer.transliterate(alias), terms);
+            }
+          }
+        );
+      });
+    });
+  }
+
+  // Register a single (possibly multi-word) alias
+  addAlias(alias, terms) {
+    const words = tokenizer.split(alias);
+    if (words.length === 0 || terms.length === 0) return;
+
+    const entries = this.aliases.get(words[0]) || [];
+    entries.push({ words, terms });
+    entries.sort((a, b) => b.words.length - a.words.length);
+    this.aliases.set(words[0], entries);
+
+    words.forEach((word) => this.aliasWords.add(word));
+  }
+
+  // Get the catalog terms of every alias that starts with the typed text,
+  // so a half-typed "national ex" already resolves to "euee"
+  getAliasTermsForPrefix(text) {
+    const typed = tokenizer.split(text).join(" ");
+    const terms = new Set();
+    if (!typed) return terms;
+
+    this.aliases.forEach((entries) => {
+      entries.forEach(({ words, terms: aliasTerms }) => {
+        if (words.join(" ").startsWith(typed)) {
+          aliasTerms.forEach((term) => terms.add(term));
+        }
+      });
+    });
+
+    return terms;
   }
 
   // Index resources for fast searching
   indexResources(resources) {
+    this.createItems(resources);
+    this.searchIndex.forEach((item) => this.addToIndex(item));
+
+    this.vocabulary = Array.from(this.invertedIndex.keys()).sort();
+    this.normalizeRankingSignals();
+
+    this.isIndexed = true;
+    console.log(
+      `Indexed ${this.searchIndex.length} resources (${this.vocabulary.length} terms)`
+    );
+  }
+
+  // Reset the index and create an index item for every resource
+  createItems(resources) {
     // Store full resources for returning complete objects
     this.fullResources = resources;
-    
-    this.searchIndex = resources.map((resource) => ({
-      id: resource.id,
-      title: resource.title,
-      description: resource.description,
-      subject: resource.subject,
-      tags: resource.tags || [],
-      grade: resource.grade,
-      year: resource.year,
-      category: resource.category,
-      // Create searchable text
-      searchText: this.createSearchText(resource),
-    }));
+    this.invertedIndex = new Map();
+    this.itemsById = new Map();
+    this.resourcesById = new Map();
+    this.spellingWords = new Map();
+
+    this.searchIndex = resources.map((resource) => {
+      const item = {
+        id: resource.id,
+        title: resource.title,
+        description: resource.description,
+        subject: resource.subject,
+        tags: resource.tags || [],
+        topics: resource.topics || [],
+        language: resource.language,
+        grade: resource.grade,
+        year: resource.year,
+        category: resource.category,
+        pages: resource.pages,
+        fileSize: resource.fileSize,
+        difficulty: resource.difficulty,
+        duration: resource.duration,
+        questions: resource.questions,
+        // Ranking signals, normalized once every item is known
+        downloads: resource.downloads || 0,
+        timestamp: this.getResourceTimestamp(resource),
+        // Create searchable text
+        searchText: this.createSearchText(resource),
+      };
+
+      this.itemsById.set(item.id, item);
+      this.resourcesById.set(item.id, resource);
+      [item.title, item.subject, ...item.tags, ...item.topics].forEach((text) =>
+        this.addSpellingWords(text)
+      );
+
+      return item;
+    });
+  }
+
+  // Add the words of a title, subject, tag or topic to the spelling list
+  addSpellingWords(text) {
+    tokenizer.splitWithOffsets(text).forEach(({ word, offset }) => {
+      if (
+        word.length < this.spellingOptions.minWordLength ||
+        /^\d+$/.test(word) ||
+        tokenizer.isStopWord(word)
+      ) {
+        return;
+      }
+
+      const entry = this.spellingWords.get(word) || {
+        display: text.toString().substr(offset, word.length),
+        count: 0,
+      };
+      entry.count++;
+      this.spellingWords.set(word, entry);
+    });
+  }
+
+  // Load the prebuilt index for these resources, or index them live when
+  // the file is missing or was built from different data.
+  // Returns true when the prebuilt index was used.
+  async loadIndex(resources, url = this.searchIndexUrl) {
+    try {
+      const data = await this.fetchJSON(url);
+
+      if (data.version === this.getIndexVersion(resources)) {
+        this.hydrateIndex(data, resources);
+        return true;
+      }
+
+      console.warn("Prebuilt search index is out of date, re-indexing");
+    } catch (error) {
+      console.warn("Prebuilt search index unavailable, re-indexing:", error);
+    }
+
+    this.indexResources(resources);
+    return false;
+  }
+
+  // Export the inverted index in the compact form read by loadIndex():
+  // [term, postings] pairs, each posting a [resource number, field number,
+  // offset, field number, offset, ...] list, numbers pointing into `ids`
+  // and `fields`
+  serializeIndex() {
+    const fields = this.searchOptions.keys;
+    const ids = this.searchIndex.map((item) => item.id);
+    const numbers = new Map(ids.map((id, i) => [id, i]));
+
+    const terms = Array.from(this.invertedIndex, ([term, postings]) => [
+      term,
+      Array.from(postings, ([id, offsets]) => [
+        numbers.get(id),
+        ...Object.entries(offsets).flatMap(([field, offset]) => [
+          fields.indexOf(field),
+          offset,
+        ]),
+      ]),
+    ]);
+
+    return {
+      version: this.getIndexVersion(this.fullResources),
+      fields,
+      ids,
+      terms,
+    };
+  }
+
+  // Rebuild the index from serializeIndex() output
+  hydrateIndex(data, resources) {
+    this.createItems(resources);
+
+    data.terms.forEach(([term, postings]) => {
+      const byId = new Map();
+
+      postings.forEach(([number, ...pairs]) => {
+        const offsets = {};
+        for (let i = 0; i < pairs.length; i += 2) {
+          offsets[data.fields[pairs[i]]] = pairs[i + 1];
+        }
+        byId.set(data.ids[number], offsets);
+      });
+
+      this.invertedIndex.set(term, byId);
+    });
+
+    this.vocabulary = Array.from(this.invertedIndex.keys()).sort();
+    this.normalizeRankingSignals();
 
     this.isIndexed = true;
-    console.log(`Indexed ${this.searchIndex.length} resources`);
+    console.log(
+      `Loaded search index for ${this.searchIndex.length} resources (${this.vocabulary.length} terms)`
+    );
+  }
+
+  // Identify the index built from these resources: the format version plus
+  // a hash of every indexed field
+  getIndexVersion(resources) {
+    const keys = ["id", ...this.searchOptions.keys];
+    const text = JSON.stringify(
+      resources.map((resource) => keys.map((key) => resource[key] ?? null))
+    );
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return `${this.indexFormatVersion}-${(hash >>> 0).toString(36)}`;
+  }
+
+  // Get when a resource was published: its exam/edition year, or the
+  // upload date when there is no year. Returns ms since epoch or null.
+  getResourceTimestamp(resource) {
+    const year = parseInt(resource.year, 10);
+    if (year) return Date.UTC(year, 0, 1);
+
+    const uploaded = Date.parse(resource.uploaded);
+    return Number.isNaN(uploaded) ? null : uploaded;
+  }
+
+  // Scale downloads and publication time of every item to 0..1
+  normalizeRankingSignals() {
+    const maxDownloads = Math.max(
+      0,
+      ...this.searchIndex.map((item) => item.downloads)
+    );
+    const timestamps = this.searchIndex
+      .map((item) => item.timestamp)
+      .filter((timestamp) => timestamp !== null);
+    const oldest = Math.min(...timestamps);
+    const newest = Math.max(...timestamps);
+
+    this.searchIndex.forEach((item) => {
+      item.popularity =
+        maxDownloads > 0
+          ? Math.log1p(item.downloads) / Math.log1p(maxDownloads)
+          : 0;
+      item.recency =
+        item.timestamp !== null && newest > oldest
+          ? (item.timestamp - oldest) / (newest - oldest)
+          : 0;
+    });
+  }
+
+  // Tune ranking signal weights, e.g. { popularity: 0.5, recency: 0 }
+  setRankingWeights(weights = {}) {
+    Object.assign(this.rankingWeights, weights);
+    return { ...this.rankingWeights };
+  }
+
+  // Set the grade whose resources rank higher (null to turn off)
+  setPreferredGrade(grade) {
+    this.preferredGrade =
+      grade === undefined || grade === null || grade === "all"
+        ? null
+        : grade.toString();
+  }
+
+  // Set the interest profile used by the personal ranking signals
+  setUserProfile(profile) {
+    this.userProfile = profile || null;
+    this.downloadedIds = new Set(profile ? profile.downloadedIds : []);
+    this.favoriteIds = new Set(profile ? profile.favoriteIds : []);
+  }
+
+  // Set the ids the "Available now" filter keeps
+  setAvailableIds(ids) {
+    this.availableIds = ids ? new Set(ids) : null;
+  }
+
+  // Get the multiplier applied to an item's text relevance
+  getRankingBoost(item) {
+    const weights = this.rankingWeights;
+    const gradeMatch =
+      this.preferredGrade !== null &&
+      item.grade !== undefined &&
+      item.grade.toString() === this.preferredGrade
+        ? 1
+        : 0;
+
+    return (
+      1 +
+      weights.popularity * (item.popularity || 0) +
+      weights.recency * (item.recency || 0) +
+      weights.grade * gradeMatch +
+      weights.personal *
+        recommendationEngine.getAffinity(item, this.userProfile) -
+      weights.downloaded * (this.downloadedIds.has(item.id) ? 1 : 0)
+    );
+  }
+
+  // Add the terms of every searchable key of an item to the inverted index
+  addToIndex(item) {
+    this.searchOptions.keys.forEach((key) => {
+      this.getFieldValues(item, key).forEach((text) => {
+        tokenizer.tokenizeWithOffsets(text).forEach(({ term, offset }) => {
+          this.addPosting(term, item.id, key, offset);
+
+          // Ge'ez words are also findable by their Latin spelling
+          if (tokenizer.isEthiopic(term)) {
+            const latin = tokenizer.stem(tokenizer.transliterate(term));
+            this.addPosting(latin, item.id, key, offset);
+          }
+        });
+      });
+    });
+  }
+
+  // Record that a term occurs in a field of a resource
+  addPosting(term, id, key, offset) {
+    if (!this.invertedIndex.has(term)) {
+      this.invertedIndex.set(term, new Map());
+    }
+
+    const postings = this.invertedIndex.get(term);
+    if (!postings.has(id)) {
+      postings.set(id, {});
+    }
+
+    const fields = postings.get(id);
+    if (fields[key] === undefined || offset < fields[key]) {
+      fields[key] = offset;
+    }
   }
 
   // Create searchable text from resource
@@ -40,15 +477,20 @@ export class SearchEngine {
       resource.subject,
       resource.grade,
       resource.year,
+      resource.language,
     ];
 
     if (resource.tags) {
       parts.push(...resource.tags);
     }
 
+    if (resource.topics) {
+      parts.push(...resource.topics);
+    }
+
     return parts
       .filter(Boolean)
-      .map((part) => part.toString().toLowerCase())
+      .map((part) => tokenizer.normalize(part))
       .join(" ");
   }
 
@@ -59,50 +501,402 @@ export class SearchEngine {
     }
 
     const searchTerm = query.toLowerCase().trim();
-
-    // Simple search implementation
-    // In production, use a library like Fuse.js or Lunr.js
-    const results = this.searchIndex.filter((item) => {
-      // Exact matches
-      if (item.title.toLowerCase().includes(searchTerm)) return true;
-      if (item.description.toLowerCase().includes(searchTerm)) return true;
-      if (item.subject.toLowerCase().includes(searchTerm)) return true;
-
-      // Tag matches
-      if (item.tags.some((tag) => tag.toLowerCase().includes(searchTerm)))
-        return true;
-
-      // Partial matches
-      const words = searchTerm.split(" ");
-      return words.some((word) => item.searchText.includes(word));
-    });
+    const scores = this.scoreQuery(searchTerm);
 
     // Sort by relevance
-    results.sort((a, b) => {
-      const aScore = this.calculateRelevance(a, searchTerm);
-      const bScore = this.calculateRelevance(b, searchTerm);
-      return bScore - aScore;
-    });
+    const results = Array.from(scores.keys()).map((id) =>
+      this.itemsById.get(id)
+    );
+    results.sort((a, b) => scores.get(b.id) - scores.get(a.id));
 
     // Apply filters
     const filteredResults = this.applyFilters(results, options.filters);
 
     // Map back to full resource objects
-    const fullResults = filteredResults
-      .map((item) => this.fullResources.find((r) => r.id === item.id))
-      .filter(Boolean); // Remove any undefined items
+    const fullResults = filteredResults.map((item) =>
+      this.resourcesById.get(item.id)
+    );
 
     // Limit results
-    if (options.limit && fullResults.length > options.limit) {
-      return fullResults.slice(0, options.limit);
+    const limited =
+      options.limit && fullResults.length > options.limit
+        ? fullResults.slice(0, options.limit)
+        : fullResults;
+
+    return options.includeMatches
+      ? this.attachMatches(limited, searchTerm)
+      : limited;
+  }
+
+  // Return copies of resources with a `matches` map (see getMatches)
+  attachMatches(resources, query) {
+    return resources.map((resource) => ({
+      ...resource,
+      matches: this.getMatches(resource, query),
+    }));
+  }
+
+  // Find where a query matched each searchable field of a resource.
+  // Returns { field: [{ start, end }] }; entries for list fields such as
+  // tags also carry the `index` of the matching value.
+  getMatches(resource, query) {
+    const terms = this.getQueryGroups(query.toLowerCase().trim()).flat();
+    const matches = {};
+
+    if (terms.length === 0) return matches;
+
+    this.searchOptions.keys.forEach((key) => {
+      const value = resource[key];
+      if (value === undefined || value === null) return;
+
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach((text, index) => {
+        tokenizer.splitWithOffsets(text).forEach(({ word, offset }) => {
+          if (!this.wordMatchesTerms(word, terms)) return;
+
+          const entry = { start: offset, end: offset + word.length };
+          if (Array.isArray(value)) entry.index = index;
+
+          matches[key] = matches[key] || [];
+          matches[key].push(entry);
+        });
+      });
+    });
+
+    return matches;
+  }
+
+  // Check if a word from a field matches any query term, using the same
+  // exact / prefix / typo rules as the index lookup
+  wordMatchesTerms(word, terms) {
+    if (tokenizer.isStopWord(word)) return false;
+
+    const candidates = [tokenizer.stem(word)];
+    if (tokenizer.isEthiopic(word)) {
+      candidates.push(tokenizer.stem(tokenizer.transliterate(word)));
+    }
+
+    return terms.some((term) =>
+      candidates.some((candidate) => {
+        if (candidate === term) return true;
+
+        if (/^\d+$/.test(term)) return false;
+        if (term.length >= 2 && candidate.startsWith(term)) return true;
+
+        const maxEdits = Math.floor(term.length * this.searchOptions.threshold);
+        return (
+          maxEdits > 0 && this.termSimilarity(term, candidate, maxEdits) > 0
+        );
+      })
+    );
+  }
+
+  // Search inside PDF contents. Resolves to [{ resource, pages }] for every
+  // resource with pages containing all query terms, most pages first.
+  async searchPages(query, options = {}) {
+    if (!query || !this.isIndexed) return [];
+
+    const groups = this.getQueryGroups(query.toLowerCase().trim());
+    if (groups.length === 0) return [];
+
+    const manifest = await this.loadPageIndexManifest();
+    const ids = Object.keys(manifest.resources).filter((id) =>
+      this.resourcesById.has(id)
+    );
+    const indexes = await Promise.all(ids.map((id) => this.loadPageIndex(id)));
+
+    const hits = [];
+    indexes.forEach((index, i) => {
+      if (!index) return;
+
+      const pages = this.matchPages(index, groups);
+      if (pages.length > 0) {
+        hits.push({ resource: this.resourcesById.get(ids[i]), pages });
+      }
+    });
+
+    hits.sort((a, b) => b.pages.length - a.pages.length);
+
+    return options.limit ? hits.slice(0, options.limit) : hits;
+  }
+
+  // Pages of a resource's page index containing every term group
+  // (exact terms, or longer terms for prefixes of 3+ letters)
+  matchPages(index, groups) {
+    let pages = null;
+
+    for (const group of groups) {
+      const groupPages = new Set();
+
+      group.forEach((term) => {
+        (index.terms[term] || []).forEach((page) => groupPages.add(page));
+
+        if (term.length >= 3 && !/^\d+$/.test(term)) {
+          Object.keys(index.terms).forEach((indexed) => {
+            if (indexed.startsWith(term)) {
+              index.terms[indexed].forEach((page) => groupPages.add(page));
+            }
+          });
+        }
+      });
+
+      pages =
+        pages === null
+          ? groupPages
+          : new Set([...pages].filter((page) => groupPages.has(page)));
+
+      if (pages.size === 0) return [];
+    }
+
+    return [...pages].sort((a, b) => a - b);
+  }
+
+  // Point page searches at another manifest (e.g. an absolute URL when
+  // running in a worker) and drop page indexes loaded from the old one
+  setPageIndexUrl(url) {
+    this.pageIndexUrl = url;
+    this.pageIndexManifest = null;
+    this.pageIndexes = new Map();
+  }
+
+  // Load the page index manifest once; an empty manifest if it is missing
+  loadPageIndexManifest() {
+    if (!this.pageIndexManifest) {
+      this.pageIndexManifest = this.fetchJSON(this.pageIndexUrl).catch(
+        (error) => {
+          console.warn("Page index unavailable:", error);
+          return { resources: {} };
+        }
+      );
+    }
+
+    return this.pageIndexManifest;
+  }
+
+  // Load (and cache) the page index of a single resource
+  async loadPageIndex(id) {
+    if (!this.pageIndexes.has(id)) {
+      const manifest = await this.loadPageIndexManifest();
+      const entry = manifest.resources[id];
+      const baseUrl = this.pageIndexUrl.replace(/[^/]*$/, "");
+
+      this.pageIndexes.set(
+        id,
+        entry
+          ? this.fetchJSON(baseUrl + entry.file).catch((error) => {
+              console.warn(`Page index for ${id} unavailable:`, error);
+              return null;
+            })
+          : Promise.resolve(null)
+      );
     }
 
-    return fullResults;
+    return this.pageIndexes.get(id);
   }
 
-  // Calculate relevance score
-  calculateRelevance(item, searchTerm) {
-    let score = 0;
+  // Fetch and parse a JSON file
+  async fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Score every resource matching ALL term groups of the query.
+  // Returns a Map of resource id -> relevance score.
+  scoreQuery(searchTerm) {
+    const groups = this.getQueryGroups(searchTerm);
+    if (groups.length === 0) return new Map();
+
+    let scores = null;
+
+    for (const group of groups) {
+      const termScores = this.matchGroup(group);
+
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, id) => {
+          if (termScores.has(id)) {
+            combined.set(id, score + termScores.get(id));
+          }
+        });
+        scores = combined;
+      }
+
+      if (scores.size === 0) break;
+    }
+
+    // Add whole-phrase bonuses on top of the per-term scores
+    scores.forEach((score, id) => {
+      scores.set(
+        id,
+        this.calculateRelevance(this.itemsById.get(id), searchTerm, score)
+      );
+    });
+
+    return scores;
+  }
+
+  // Split a query into groups of alternative terms. A resource must match
+  // every group, through any one of its terms: the typed word, its Latin
+  // transliteration, or the catalog term an alias stands for.
+  getQueryGroups(searchTerm) {
+    const words = tokenizer.split(searchTerm);
+    const groups = new Map();
+    let i = 0;
+
+    while (i < words.length) {
+      const alias = (this.aliases.get(words[i]) || []).find((entry) =>
+        entry.words.every((word, j) => words[i + j] === word)
+      );
+
+      const terms = [];
+      if (alias) {
+        if (alias.words.length === 1) terms.push(tokenizer.stem(words[i]));
+        terms.push(...alias.terms);
+        i += alias.words.length;
+      } else if (!tokenizer.isStopWord(words[i])) {
+        terms.push(tokenizer.stem(words[i]));
+        if (tokenizer.isEthiopic(words[i])) {
+          terms.push(tokenizer.stem(tokenizer.transliterate(words[i])));
+        }
+        i++;
+      } else {
+        i++;
+      }
+
+      if (terms.length > 0) {
+        const group = [...new Set(terms)];
+        groups.set(group.join(" "), group);
+      }
+    }
+
+    return Array.from(groups.values());
+  }
+
+  // Score every resource matching any term of a group, keeping the best
+  matchGroup(group) {
+    const scores = new Map();
+
+    group.forEach((term) => {
+      this.matchTerm(term).forEach((score, id) => {
+        if (score > (scores.get(id) || 0)) {
+          scores.set(id, score);
+        }
+      });
+    });
+
+    return scores;
+  }
+
+  // Score every resource containing a single query term.
+  // Returns a Map of resource id -> best score for that term.
+  matchTerm(term, options = {}) {
+    const scores = new Map();
+
+    this.expandTerm(term, options).forEach(({ indexed, factor, fuzzy }) => {
+      this.invertedIndex.get(indexed).forEach((fields, id) => {
+        let score = 0;
+
+        Object.entries(fields).forEach(([key, offset]) => {
+          // Typos only count near the start of a field
+          if (fuzzy && offset > this.searchOptions.distance) return;
+          score += (this.fieldWeights[key] || 10) * factor;
+        });
+
+        if (score > (scores.get(id) || 0)) {
+          scores.set(id, score);
+        }
+      });
+    });
+
+    return scores;
+  }
+
+  // Find the indexed terms a query term should match: the term itself,
+  // longer terms it is a prefix of, and (if neither exists) close typos
+  expandTerm(term, { fuzzy = true } = {}) {
+    const matches = [];
+
+    if (this.invertedIndex.has(term)) {
+      matches.push({ indexed: term, factor: 1, fuzzy: false });
+    }
+
+    // Numbers like grades and years must match exactly
+    if (term.length >= 2 && !/^\d+$/.test(term)) {
+      this.getPrefixTerms(term).forEach((indexed) => {
+        if (indexed !== term) {
+          matches.push({ indexed, factor: this.prefixPenalty, fuzzy: false });
+        }
+      });
+    }
+
+    if (matches.length > 0 || !fuzzy) return matches;
+
+    const maxEdits = Math.floor(term.length * this.searchOptions.threshold);
+    if (maxEdits === 0) return matches;
+
+    this.vocabulary.forEach((indexed) => {
+      const similarity = this.termSimilarity(term, indexed, maxEdits);
+      if (similarity > 0) {
+        matches.push({
+          indexed,
+          factor: similarity * this.fuzzyPenalty,
+          fuzzy: true,
+        });
+      }
+    });
+
+    return matches;
+  }
+
+  // Get all indexed terms starting with prefix (binary search)
+  getPrefixTerms(prefix) {
+    let low = 0;
+    let high = this.vocabulary.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.vocabulary[mid] < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const terms = [];
+    for (let i = low; i < this.vocabulary.length; i++) {
+      if (!this.vocabulary[i].startsWith(prefix)) break;
+      terms.push(this.vocabulary[i]);
+    }
+
+    return terms;
+  }
+
+  // Similarity (0-1) between a query term and an indexed term, or 0 when
+  // they are more than maxEdits apart. A half-typed word may also match
+  // the start of a longer term.
+  termSimilarity(term, indexed, maxEdits) {
+    const candidates = [indexed];
+    if (indexed.length > term.length) {
+      candidates.push(indexed.slice(0, term.length));
+    }
+
+    return candidates.reduce((best, candidate) => {
+      const edits = this.levenshtein(term, candidate, maxEdits);
+      if (edits > maxEdits) return best;
+
+      const length = Math.max(term.length, candidate.length);
+      return Math.max(best, 1 - edits / length);
+    }, 0);
+  }
+
+  // Calculate relevance score: per-term score plus whole-phrase bonuses
+  calculateRelevance(item, searchTerm, termScore = 0) {
+    let score = termScore;
 
     // Title match (highest weight)
     if (item.title.toLowerCase().includes(searchTerm)) {
@@ -124,18 +918,135 @@ export class SearchEngine {
       score += 20;
     }
 
-    // Word matches
-    const words = searchTerm.split(" ");
-    words.forEach((word) => {
-      if (item.searchText.includes(word)) {
-        score += 10;
+    // Boost popular, recent and grade-relevant items
+    return score * this.getRankingBoost(item);
+  }
+
+  // Propose a corrected query for a search that found nothing: every word
+  // the catalog doesn't know is replaced by the closest title, subject, tag
+  // or topic word. Returns { query, confidence, autoApply, corrections },
+  // corrections being { from, to, start } with start in the new query, or
+  // null when there is nothing to correct.
+  getSpellingSuggestion(query) {
+    if (!query || !this.isIndexed) return null;
+
+    const text = query.toString();
+    const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+    const corrections = [];
+    let corrected = "";
+    let last = 0;
+    let confidence = 1;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const word = tokenizer.normalize(match[0]);
+      const end = match.index + match[0].length;
+
+      // Leave field names ("subject:") and known words alone
+      if (text[end] === ":" || this.isKnownWord(word)) continue;
+
+      const closest = this.findClosestWord(word);
+      if (!closest) continue;
+
+      corrected += text.slice(last, match.index);
+      corrections.push({
+        from: match[0],
+        to: closest.word,
+        start: corrected.length,
+      });
+      corrected += closest.word;
+      last = end;
+      confidence = Math.min(confidence, closest.confidence);
+    }
+
+    if (corrections.length === 0) return null;
+
+    return {
+      query: corrected + text.slice(last),
+      confidence,
+      autoApply: confidence >= this.spellingOptions.autoApplyConfidence,
+      corrections,
+    };
+  }
+
+  // Check if a query word needs no spelling correction
+  isKnownWord(word) {
+    if (
+      word.length < this.spellingOptions.minWordLength ||
+      /^\d+$/.test(word) ||
+      tokenizer.isStopWord(word) ||
+      tokenizer.isEthiopic(word) ||
+      this.spellingWords.has(word) ||
+      this.aliasWords.has(word)
+    ) {
+      return true;
+    }
+
+    const term = tokenizer.stem(word);
+    return this.invertedIndex.has(term) || this.getPrefixTerms(term).length > 0;
+  }
+
+  // Find the catalog word closest to a misspelt word. Confidence (0-1)
+  // drops with every edit and when another word is just as close.
+  findClosestWord(word) {
+    const maxEdits = word.length <= 4 ? 1 : this.spellingOptions.maxEdits;
+    const candidates = [];
+
+    this.spellingWords.forEach((entry, candidate) => {
+      const distance = this.levenshtein(word, candidate, maxEdits);
+      if (distance <= maxEdits) {
+        candidates.push({ ...entry, distance });
       }
     });
 
-    // Boost popular items
-    // You could add download count or rating here
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => a.distance - b.distance || b.count - a.count);
+    const [best, runnerUp] = candidates;
+    const isAmbiguous = runnerUp && runnerUp.distance === best.distance;
 
-    return score;
+    return {
+      word: best.display,
+      confidence: (1 - best.distance / word.length) * (isAmbiguous ? 0.75 : 1),
+    };
+  }
+
+  // Get a field as a list of lowercase strings (tags are already a list)
+  getFieldValues(item, key) {
+    const value = item[key];
+    if (value === undefined || value === null) return [];
+
+    return (Array.isArray(value) ? value : [value]).map((v) =>
+      v.toString().toLowerCase()
+    );
+  }
+
+  // Levenshtein edit distance; stops early once it exceeds maxDistance
+  levenshtein(a, b, maxDistance = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+        rowMin = Math.min(rowMin, current[j]);
+      }
+
+      if (rowMin > maxDistance) return maxDistance + 1;
+      previous = current;
+    }
+
+    return previous[b.length];
   }
 
   // Apply filters to search results
@@ -145,23 +1056,55 @@ export class SearchEngine {
     }
 
     return results.filter((item) => {
-      // Category filter
-      if (filters.category && item.category !== filters.category) {
+      // Category, grade, year, subject, difficulty and language filters
+      if (
+        ![
+          "category",
+          "grade",
+          "year",
+          "subject",
+          "difficulty",
+          "language",
+        ].every((key) => this.matchesFilter(filters[key], item[key]))
+      ) {
+        return false;
+      }
+
+      // Favorites, downloaded or not yet downloaded (from the user profile)
+      if (
+        filters.personal &&
+        !filters.personal.every((state) =>
+          this.matchesPersonalState(item, state)
+        )
+      ) {
         return false;
       }
 
-      // Grade filter
-      if (filters.grade && item.grade !== filters.grade) {
+      // Only resources whose PDF is present
+      if (
+        filters.available &&
+        this.availableIds &&
+        !this.availableIds.has(item.id)
+      ) {
         return false;
       }
 
-      // Year filter
-      if (filters.year && item.year !== filters.year) {
+      // Year, page count and file size ranges
+      if (!rangeFilter.matches(item, filters)) {
         return false;
       }
 
-      // Subject filter
-      if (filters.subject && item.subject !== filters.subject) {
+      // Topic filter
+      if (
+        filters.topic &&
+        filters.topic !== "all" &&
+        !item.topics.includes(filters.topic)
+      ) {
+        return false;
+      }
+
+      // Tags filter (all or any selected tags, no excluded tag)
+      if (!this.matchesTags(item.tags || [], filters)) {
         return false;
       }
 
@@ -169,6 +1112,84 @@ export class SearchEngine {
     });
   }
 
+  // Check tags against the tag filters: tags (all of them, or any with
+  // tagMode "any") and excludedTags (none of them)
+  matchesTags(itemTags, { tags = [], tagMode = "all", excludedTags = [] }) {
+    if (excludedTags.some((tag) => itemTags.includes(tag))) return false;
+    if (!Array.isArray(tags) || tags.length === 0) return true;
+
+    return tagMode === "any"
+      ? tags.some((tag) => itemTags.includes(tag))
+      : tags.every((tag) => itemTags.includes(tag));
+  }
+
+  // Check an item against a personal filter state
+  matchesPersonalState(item, state) {
+    if (state === "favorites") return this.favoriteIds.has(item.id);
+    if (state === "downloaded") return this.downloadedIds.has(item.id);
+    if (state === "not-downloaded") return !this.downloadedIds.has(item.id);
+    return true;
+  }
+
+  // Check an item value against a filter value: "all" or an empty list
+  // match anything, a list matches any of its values
+  matchesFilter(filterValue, itemValue) {
+    if (!filterValue || filterValue === "all") return true;
+
+    if (Array.isArray(filterValue)) {
+      return filterValue.length === 0 || filterValue.includes(itemValue);
+    }
+
+    return filterValue === itemValue;
+  }
+
+  // Count, for every option of every filter, how many of these results
+  // would remain with that option selected and the other filters kept.
+  // Returns { category: { textbook: 30, ... }, grade: { ... }, ... }.
+  getFacetCounts(results, filters = {}) {
+    const facets = {};
+
+    Object.entries(this.facetFields).forEach(([key, field]) => {
+      // Tags matched with "all" keep narrowing each other; with "any"
+      // each tag is counted as if it were the only one selected
+      let otherFilters = { ...filters, [key]: "all" };
+      if (key === "tags") {
+        otherFilters =
+          filters.tagMode === "any" ? { ...filters, tags: [] } : filters;
+      }
+      const counts = {};
+
+      this.applyFilters(results, otherFilters).forEach((item) => {
+        const values = Array.isArray(item[field]) ? item[field] : [item[field]];
+        values.forEach((value) => {
+          if (value === undefined || value === null || value === "") return;
+          counts[value] = (counts[value] || 0) + 1;
+        });
+      });
+
+      facets[key] = counts;
+    });
+
+    return facets;
+  }
+
+  // Run advancedSearch() and count filter options against the query with
+  // the other active filters. Returns { results, facets }.
+  searchWithFacets(criteria, options = {}) {
+    const results = this.advancedSearch(criteria, options);
+    const matches = this.advancedSearch(criteria, {
+      ...options,
+      filters: {},
+      limit: 0,
+      includeMatches: false,
+    });
+
+    return {
+      results,
+      facets: this.getFacetCounts(matches, options.filters),
+    };
+  }
+
   // Get search suggestions
   getSuggestions(query, limit = 5) {
     if (!query || query.length < 2) {
@@ -178,6 +1199,24 @@ export class SearchEngine {
     const searchTerm = query.toLowerCase();
     const suggestions = new Set();
 
+    // Synonyms and abbreviations ("chem" -> Chemistry, "sat" -> Aptitude)
+    const aliasTerms = this.getAliasTermsForPrefix(searchTerm);
+    if (aliasTerms.size > 0) {
+      const matchesAlias = (text) =>
+        tokenizer.tokenize(text).some((term) => aliasTerms.has(term));
+
+      this.searchIndex.forEach((item) => {
+        if (matchesAlias(item.subject)) {
+          suggestions.add(item.subject);
+        }
+        item.tags.forEach((tag) => {
+          if (matchesAlias(tag)) {
+            suggestions.add(tag);
+          }
+        });
+      });
+    }
+
     // Search in titles
     this.searchIndex.forEach((item) => {
       if (item.title.toLowerCase().includes(searchTerm)) {
@@ -246,37 +1285,62 @@ export class SearchEngine {
     return true;
   }
 
-  // Advanced search with multiple criteria
-  advancedSearch(criteria) {
-    let results = [...this.searchIndex];
+  // Advanced search with multiple criteria (shape produced by QueryParser):
+  // keywords, phrases, category, grade, subject, year, tags, ranges, exclude.
+  // Returns full resource objects.
+  advancedSearch(criteria, options = {}) {
+    let results;
 
     // Apply each criterion
     if (criteria.keywords) {
-      results = this.search(criteria.keywords, { returnAll: false });
+      results = this.search(criteria.keywords, {
+        filters: options.filters,
+      }).map((resource) => this.itemsById.get(resource.id));
+    } else {
+      results = this.applyFilters([...this.searchIndex], options.filters);
     }
 
-    if (criteria.category) {
-      results = results.filter((item) => item.category === criteria.category);
-    }
+    ["category", "grade", "subject", "year", "language"].forEach((key) => {
+      if (criteria[key]) {
+        results = results.filter((item) =>
+          this.matchesField(item, key, criteria[key])
+        );
+      }
+    });
 
-    if (criteria.grade) {
-      results = results.filter((item) => item.grade === criteria.grade);
+    if (criteria.tags && criteria.tags.length > 0) {
+      results = results.filter((item) =>
+        criteria.tags.some((tag) => this.matchesField(item, "tags", tag))
+      );
     }
 
-    if (criteria.subject) {
-      results = results.filter((item) => item.subject === criteria.subject);
+    if (criteria.topics && criteria.topics.length > 0) {
+      results = results.filter((item) =>
+        criteria.topics.some((topic) =>
+          this.matchesField(item, "topics", topic)
+        )
+      );
     }
 
-    if (criteria.year) {
-      results = results.filter((item) => item.year === criteria.year);
-    }
+    Object.entries(criteria.ranges || {}).forEach(([key, range]) => {
+      results = results.filter((item) => {
+        const value = parseInt(item[key], 10);
+        return !isNaN(value) && value >= range.min && value <= range.max;
+      });
+    });
 
-    if (criteria.tags && criteria.tags.length > 0) {
+    if (criteria.phrases && criteria.phrases.length > 0) {
       results = results.filter((item) =>
-        criteria.tags.some((tag) => item.tags.includes(tag))
+        criteria.phrases.every((phrase) =>
+          item.searchText.includes(tokenizer.normalize(phrase))
+        )
       );
     }
 
+    if (criteria.exclude) {
+      results = this.applyExclusions(results, criteria.exclude);
+    }
+
     // Sort by specified field
     if (criteria.sortBy) {
       results.sort((a, b) => {
@@ -289,7 +1353,79 @@ export class SearchEngine {
       });
     }
 
-    return results;
+    const fullResults = results.map((item) => this.resourcesById.get(item.id));
+
+    const limited =
+      options.limit && fullResults.length > options.limit
+        ? fullResults.slice(0, options.limit)
+        : fullResults;
+
+    // Highlight keywords and phrase words alike
+    const matchQuery = [criteria.keywords, ...(criteria.phrases || [])]
+      .filter(Boolean)
+      .join(" ");
+
+    return options.includeMatches && matchQuery
+      ? this.attachMatches(limited, matchQuery)
+      : limited;
+  }
+
+  // Drop items matching any excluded keyword, phrase or field value
+  applyExclusions(results, exclude) {
+    const excludedIds = new Set();
+
+    (exclude.keywords || []).forEach((keyword) => {
+      tokenizer.tokenize(keyword).forEach((term) => {
+        this.matchTerm(term, { fuzzy: false }).forEach((score, id) =>
+          excludedIds.add(id)
+        );
+      });
+    });
+
+    return results.filter((item) => {
+      if (excludedIds.has(item.id)) return false;
+
+      if (
+        (exclude.phrases || []).some((phrase) =>
+          item.searchText.includes(tokenizer.normalize(phrase))
+        )
+      ) {
+        return false;
+      }
+
+      return ![
+        "category",
+        "grade",
+        "subject",
+        "year",
+        "language",
+        "tags",
+        "topics",
+      ].some((key) =>
+        (exclude[key] || []).some((value) =>
+          this.matchesField(item, key, value)
+        )
+      );
+    });
+  }
+
+  // Case-insensitive field match. Grade and year must match exactly, tags
+  // and topics must equal one of the item's values, other fields match by
+  // prefix so "subject:math" finds Mathematics.
+  matchesField(item, key, value) {
+    const wanted = value.toString().toLowerCase();
+
+    if (key === "tags" || key === "topics") {
+      return (item[key] || []).some((entry) => entry.toLowerCase() === wanted);
+    }
+
+    const actual = (item[key] || "").toString().toLowerCase();
+
+    if (key === "grade" || key === "year") {
+      return actual === wanted;
+    }
+
+    return actual.startsWith(wanted);
   }
 }
 
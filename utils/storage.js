@@ -243,6 +243,7 @@ export class StorageManager {
       notifications: true,
       autoDownload: false,
       gridView: true,
+      grade: null,
     });
   }
 
@@ -281,9 +282,29 @@ export class StorageManager {
 
   // Favorites
   getFavorites() {
+    this.migrateLegacyFavorites();
     return this.get("favorites", []);
   }
 
+  // Move favorites that older versions saved under the unprefixed
+  // "favorites" key (a plain JSON array) into the managed one, once
+  migrateLegacyFavorites() {
+    try {
+      const legacy = localStorage.getItem("favorites");
+      if (legacy === null) return;
+
+      const ids = JSON.parse(legacy);
+      if (Array.isArray(ids)) {
+        const favorites = this.get("favorites", []);
+        this.set("favorites", Array.from(new Set([...favorites, ...ids])));
+      }
+
+      localStorage.removeItem("favorites");
+    } catch (error) {
+      console.error("Storage migration error:", error);
+    }
+  }
+
   // Add favorite
   addFavorite(itemId) {
     const favorites = this.getFavorites();
@@ -342,13 +363,122 @@ export class StorageManager {
       searches.length = 50;
     }
 
+    // Count how often each search is made, for popular searches
+    const counts = this.get("search_counts", {});
+    counts[trimmedQuery] = (counts[trimmedQuery] || 0) + 1;
+    this.set("search_counts", counts);
+
     return this.set("recent_searches", searches);
   }
 
+  // Most frequent searches, most made first
+  getPopularSearches(limit = 10) {
+    const counts = this.get("search_counts", {});
+
+    return Object.entries(counts)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, limit)
+      .map(([query]) => query);
+  }
+
   // Clear search history
   clearSearchHistory() {
+    this.remove("search_counts");
     return this.remove("recent_searches");
   }
+
+  // Saved searches: { id, query, filters, created, seenIds }
+  getSavedSearches() {
+    return this.get("saved_searches", []);
+  }
+
+  // Save a search. seenIds are the resources matching it now, so only
+  // resources added later are reported as new.
+  addSavedSearch(query, filters = {}, seenIds = []) {
+    const searches = this.getSavedSearches();
+    const trimmedQuery = (query || "").trim();
+
+    const existing = searches.find(
+      (search) =>
+        search.query === trimmedQuery &&
+        JSON.stringify(search.filters) === JSON.stringify(filters)
+    );
+    if (existing) return existing;
+
+    const savedSearch = {
+      id:
+        "search_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9),
+      query: trimmedQuery,
+      filters,
+      created: new Date().toISOString(),
+      seenIds,
+    };
+
+    searches.unshift(savedSearch);
+    this.set("saved_searches", searches);
+    return savedSearch;
+  }
+
+  // Update a saved search
+  updateSavedSearch(id, changes) {
+    const searches = this.getSavedSearches();
+    const savedSearch = searches.find((search) => search.id === id);
+    if (!savedSearch) return false;
+
+    Object.assign(savedSearch, changes);
+    return this.set("saved_searches", searches);
+  }
+
+  // Remove a saved search
+  removeSavedSearch(id) {
+    const searches = this.getSavedSearches();
+    return this.set(
+      "saved_searches",
+      searches.filter((search) => search.id !== id)
+    );
+  }
+
+  // Filter presets: { id, name, filters, query, created }
+  getFilterPresets() {
+    return this.get("filter_presets", []);
+  }
+
+  // Save the given filters and search term as a named preset
+  addFilterPreset(name, filters = {}, query = "") {
+    const presets = this.getFilterPresets();
+
+    const preset = {
+      id:
+        "preset_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9),
+      name: name.trim(),
+      filters,
+      query: (query || "").trim(),
+      created: new Date().toISOString(),
+    };
+
+    presets.push(preset);
+    this.set("filter_presets", presets);
+    return preset;
+  }
+
+  // Update a filter preset (e.g. rename it)
+  updateFilterPreset(id, changes) {
+    const presets = this.getFilterPresets();
+    const preset = presets.find((item) => item.id === id);
+    if (!preset) return false;
+
+    Object.assign(preset, changes);
+    return this.set("filter_presets", presets);
+  }
+
+  // Remove a filter preset
+  removeFilterPreset(id) {
+    const presets = this.getFilterPresets();
+    return this.set(
+      "filter_presets",
+      presets.filter((preset) => preset.id !== id)
+    );
+  }
 }
 
 // Create global instance
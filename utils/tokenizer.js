@@ -0,0 +1,211 @@
+// Text Tokenizer Utility Functions
+export class Tokenizer {
+  constructor() {
+    // Words too common to help narrow a search
+    this.stopWords = new Set([
+      "a",
+      "about",
+      "all",
+      "an",
+      "and",
+      "are",
+      "as",
+      "at",
+      "be",
+      "by",
+      "for",
+      "from",
+      "in",
+      "into",
+      "is",
+      "it",
+      "its",
+      "of",
+      "on",
+      "or",
+      "that",
+      "the",
+      "this",
+      "to",
+      "was",
+      "with",
+    ]);
+
+    this.minStemLength = 3;
+
+    // Ethiopic letters pronounced alike in Amharic and spelled either way:
+    // first syllable of a variant series -> first syllable of the series
+    // it is folded into (ሐ/ኀ -> ሀ, ሠ -> ሰ, ዐ -> አ, ፀ -> ጸ)
+    this.ethiopicVariants = {
+      0x1210: 0x1200,
+      0x1280: 0x1200,
+      0x1220: 0x1230,
+      0x12d0: 0x12a0,
+      0x1340: 0x1338,
+    };
+
+    // Series whose first and fourth forms (ሀ/ሃ, አ/ኣ) sound the same
+    this.ethiopicLongA = [0x1200, 0x12a0];
+
+    // Latin consonant for each Ethiopic series (keyed by first syllable)
+    this.ethiopicConsonants = {
+      0x1200: "h",
+      0x1208: "l",
+      0x1218: "m",
+      0x1228: "r",
+      0x1230: "s",
+      0x1238: "sh",
+      0x1240: "q",
+      0x1260: "b",
+      0x1268: "v",
+      0x1270: "t",
+      0x1278: "ch",
+      0x1290: "n",
+      0x1298: "ny",
+      0x12a0: "",
+      0x12a8: "k",
+      0x12b8: "h",
+      0x12c8: "w",
+      0x12d8: "z",
+      0x12e0: "zh",
+      0x12e8: "y",
+      0x12f0: "d",
+      0x1300: "j",
+      0x1308: "g",
+      0x1320: "t",
+      0x1328: "ch",
+      0x1330: "p",
+      0x1338: "ts",
+      0x1348: "f",
+      0x1350: "p",
+    };
+
+    // Latin vowel for each of the seven syllable orders. The sixth order
+    // is usually silent ("ብ" -> "b").
+    this.ethiopicVowels = ["e", "u", "i", "a", "e", "", "o"];
+
+    // Vowels for the bare vowel carrier series (አ ኡ ኢ ኣ ኤ እ ኦ)
+    this.ethiopicCarrierVowels = ["a", "u", "i", "a", "e", "i", "o"];
+  }
+
+  // Lowercase text and fold Ethiopic spelling variants
+  normalize(text) {
+    if (text === undefined || text === null) return "";
+
+    return text
+      .toString()
+      .toLowerCase()
+      .replace(/[\u1200-\u137f]/g, (char) => this.normalizeEthiopic(char));
+  }
+
+  // Fold a single Ethiopic syllable to its canonical spelling
+  normalizeEthiopic(char) {
+    const code = char.charCodeAt(0);
+    let series = code & ~7;
+    let order = code & 7;
+
+    if (order > 6) return char;
+
+    if (this.ethiopicVariants[series] !== undefined) {
+      series = this.ethiopicVariants[series];
+    }
+
+    if (order === 3 && this.ethiopicLongA.includes(series)) {
+      order = 0;
+    }
+
+    return String.fromCharCode(series + order);
+  }
+
+  // Check if a word contains Ethiopic (Ge'ez) script
+  isEthiopic(word) {
+    return /[\u1200-\u137f]/.test(word);
+  }
+
+  // Transliterate Ethiopic script into the Latin spelling people type on
+  // phones ("ሂሳብ" -> "hisab", "ፊዚክስ" -> "fiziks"). Other text is kept.
+  transliterate(text) {
+    return this.normalize(text).replace(/[\u1200-\u137f]/g, (char) => {
+      const code = char.charCodeAt(0);
+      const series = code & ~7;
+      const order = code & 7;
+      const consonant = this.ethiopicConsonants[series];
+
+      if (consonant === undefined) return "";
+      if (order === 7) return consonant + "wa";
+      if (consonant === "") return this.ethiopicCarrierVowels[order];
+
+      return consonant + this.ethiopicVowels[order];
+    });
+  }
+
+  // Split text into lowercase words (letters and digits in any script)
+  split(text) {
+    return this.normalize(text).match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+  }
+
+  // Split text into words along with the character offset of each word
+  splitWithOffsets(text) {
+    if (text === undefined || text === null) return [];
+
+    const words = [];
+    const pattern = /[\p{L}\p{M}\p{N}]+/gu;
+    const lower = this.normalize(text);
+    let match;
+
+    while ((match = pattern.exec(lower)) !== null) {
+      words.push({ word: match[0], offset: match.index });
+    }
+
+    return words;
+  }
+
+  // Tokenize text into index terms: split, drop stop-words, stem
+  tokenize(text) {
+    return this.split(text)
+      .filter((word) => !this.isStopWord(word))
+      .map((word) => this.stem(word));
+  }
+
+  // Tokenize text keeping the offset of each term in the original text
+  tokenizeWithOffsets(text) {
+    return this.splitWithOffsets(text)
+      .filter(({ word }) => !this.isStopWord(word))
+      .map(({ word, offset }) => ({ term: this.stem(word), offset }));
+  }
+
+  // Check if a word is a stop-word
+  isStopWord(word) {
+    return this.stopWords.has(word);
+  }
+
+  // Light English stemmer: strips common plural and verb suffixes so
+  // "papers"/"paper" and "studies"/"study" index to the same term
+  stem(word) {
+    if (word.length <= this.minStemLength || !/^[a-z]+$/.test(word)) {
+      return word;
+    }
+
+    const rules = [
+      [/ies$/, "y"],
+      [/ied$/, "y"],
+      [/sses$/, "ss"],
+      [/(ch|sh|x|z)es$/, "$1"],
+      [/([^isu])s$/, "$1"],
+      [/ing$/, ""],
+      [/ed$/, ""],
+    ];
+
+    for (const [pattern, replacement] of rules) {
+      if (pattern.test(word)) {
+        const stemmed = word.replace(pattern, replacement);
+        return stemmed.length >= this.minStemLength ? stemmed : word;
+      }
+    }
+
+    return word;
+  }
+}
+
+// Create global instance
+export const tokenizer = new Tokenizer();